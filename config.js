@@ -47,6 +47,90 @@ export const CONFIG = {
     MAX_SIZE_MB: 10, // Max size for compressed images
     EXTRACTION_MODE_IMAGES: 'images',
     EXTRACTION_MODE_FULLPAGES: 'fullpages',
+    EXTRACTION_MODE_HYBRID: 'hybrid',
+    TARGET_SIZE_SCALES: [1, 0.75, 0.5, 0.35, 0.25], // Downscale steps tried when quality alone is not enough
+    POINTS_PER_INCH: 72,
+    MM_PER_INCH: 25.4,
+    DOWNSAMPLE_THRESHOLD_DPI: 300, // Downsample images placed above this resolution...
+    DOWNSAMPLE_TARGET_DPI: 150, // ...to this resolution
+    KEEP_ORIGINAL_MIN_SAVING: 5, // Percent a re-encoded image must save, otherwise the original is kept
+    INSPECTOR_LARGEST_OBJECTS: 20, // Number of objects listed in the size breakdown
+    RENDER_SCALE: 2, // Scale pages are rendered at in Full Pages mode
+    THUMBNAIL_SCALE: 0.3, // Scale of page organizer thumbnails
+    PAGE_IMAGE_MIN_DPI: 72, // Resolution range of the Pages to Images export
+    PAGE_IMAGE_MAX_DPI: 600,
+    HYBRID_DPI: 150, // Default resolution of pages flattened in Hybrid mode
+    HYBRID_MIN_SAVING: 25, // Percent a page must save as an image to be flattened
+    PAGE_SIZES: {
+      a4: [595.28, 841.89], // Portrait width and height in points
+      letter: [612, 792],
+    },
+    COMPOSE_IMAGE_DPI: 150, // Resolution images are placed at on fit-to-image pages
+    FORMAT_AUTO: 'auto', // Per-image format: JPEG, or PNG for transparent graphics when smaller
+    COLOR_MODE_COLOR: 'color',
+    COLOR_MODE_GRAY: 'gray',
+    COLOR_MODE_BILEVEL: 'bilevel', // Black and white, 1 bit per pixel
+    BILEVEL_THRESHOLD: 128, // Gray level below which pixels become black
+    // Built-in bulk optimization presets, modelled on Ghostscript's -dPDFSETTINGS (the ids are
+    // its setting names, so "printer" is shown as Print), plus one for long-term storage
+    PRESETS: {
+      screen: {
+        name: 'Screen',
+        quality: 0.5,
+        downsample: true,
+        downsampleThreshold: 108,
+        downsampleTarget: 72,
+        format: 'image/jpeg',
+        colorMode: 'color',
+        cleanup: true,
+        stripXmp: true,
+      },
+      ebook: {
+        name: 'eBook',
+        quality: 0.7,
+        downsample: true,
+        downsampleThreshold: 225,
+        downsampleTarget: 150,
+        format: 'auto',
+        colorMode: 'color',
+        cleanup: true,
+        stripXmp: true,
+      },
+      printer: {
+        name: 'Print',
+        quality: 0.85,
+        downsample: true,
+        downsampleThreshold: 450,
+        downsampleTarget: 300,
+        format: 'auto',
+        colorMode: 'color',
+        cleanup: true,
+        stripXmp: false,
+      },
+      prepress: {
+        name: 'Prepress',
+        quality: 0.95,
+        downsample: false,
+        downsampleThreshold: 450,
+        downsampleTarget: 300,
+        format: 'auto',
+        colorMode: 'color',
+        cleanup: true,
+        stripXmp: false,
+      },
+      // Keeps full resolution and the XMP metadata records management relies on
+      archive: {
+        name: 'Archive',
+        quality: 0.9,
+        downsample: false,
+        downsampleThreshold: 450,
+        downsampleTarget: 300,
+        format: 'auto',
+        colorMode: 'color',
+        cleanup: true,
+        stripXmp: false,
+      },
+    },
   },
 
   // Crop aspect ratios
@@ -69,6 +153,8 @@ export const CONFIG = {
     DISCLAIMER_ACCEPTED: 'fabEditorDisclaimerAccepted',
     PENDING_IMAGE_URL: 'pendingImageUrl',
     SECTION_COLLAPSED_PREFIX: 'section-', // e.g., 'section-cropSection-collapsed'
+    PDF_CUSTOM_PRESETS: 'fabEditorPdfCustomPresets',
+    PDF_DEFAULT_PRESET: 'fabEditorPdfDefaultPreset',
   },
 
   // Canvas operations
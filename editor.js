@@ -20,6 +20,7 @@ import {
   sanitizeInput,
   validateQuality,
   validateDimensions,
+  parsePageRanges,
 } from './utils.js';
 import {
   disposeCanvas,
@@ -38,10 +39,44 @@ import {
   cropCanvas,
   hasTransparency as checkTransparency,
   createCanvasFromDataURL,
+  encodeWithSoftMask,
+  encodeMonochrome,
   loadImageElement,
   getBlobSizeFromDataURL as getBlobSize,
 } from './src/image/imageProcessor.js';
-import { extractPdfImages, extractPdfText, getPdfMetadata } from './src/pdf/pdfProcessor.js';
+import {
+  extractPdfImages,
+  extractPdfText,
+  getPasswordErrorReason,
+  renderPdfPagesAsImages,
+  getPdfMetadata,
+  renderPdfThumbnails,
+} from './src/pdf/pdfProcessor.js';
+import { buildImagesPdf, buildOptimizedPdf, buildRasterizedPdf } from './src/pdf/pdfWriter.js';
+import { buildImagesZip, buildPagesZip } from './src/pdf/pdfExport.js';
+import { inspectPdf, SIZE_CATEGORIES } from './src/pdf/pdfInspector.js';
+import { copyPdfProtection } from './src/pdf/pdfSecurity.js';
+import {
+  buildOptimizationReport,
+  reportToCsv,
+  reportToHtml,
+  reportToJson,
+} from './src/pdf/pdfReport.js';
+import {
+  loadPdfPresets,
+  saveCustomPreset,
+  deleteCustomPreset,
+  setDefaultPreset,
+  isCustomPreset,
+} from './src/pdf/pdfPresets.js';
+import {
+  createPageLayout,
+  isDefaultPageLayout,
+  mergePdfs,
+  rearrangePdf,
+  splitPdf,
+  splitPdfBySize,
+} from './src/pdf/pdfPages.js';
 
 document.addEventListener('DOMContentLoaded', () => {
   // --- DOM Elements ---
@@ -116,20 +151,46 @@ document.addEventListener('DOMContentLoaded', () => {
   // PDF elements
   const pdfUpload = document.getElementById('pdfUpload');
   const pdfExtractionMode = document.getElementById('pdfExtractionMode');
+  const hybridDpiGroup = document.getElementById('hybridDpiGroup');
+  const hybridDpi = document.getElementById('hybridDpi');
   const pdfInfoSection = document.getElementById('pdfInfoSection');
   const pdfBulkSection = document.getElementById('pdfBulkSection');
   const pdfPages = document.getElementById('pdfPages');
   const pdfImageCount = document.getElementById('pdfImageCount');
   const pdfOriginalSize = document.getElementById('pdfOriginalSize');
   const pdfOptimizedSize = document.getElementById('pdfOptimizedSize');
+  const pdfSourceFilesInfo = document.getElementById('pdfSourceFilesInfo');
+  const pdfSourceFiles = document.getElementById('pdfSourceFiles');
+  const pdfProtectionOptions = document.getElementById('pdfProtectionOptions');
   const pdfQualitySlider = document.getElementById('pdfQualitySlider');
   const pdfQualityValue = document.getElementById('pdfQualityValue');
   const pdfMaxWidth = document.getElementById('pdfMaxWidth');
   const pdfFormatRadios = document.querySelectorAll('input[name="pdfFormat"]');
+  const pdfDownsampleEnabled = document.getElementById('pdfDownsampleEnabled');
+  const pdfDownsampleOptions = document.getElementById('pdfDownsampleOptions');
+  const pdfDownsampleThreshold = document.getElementById('pdfDownsampleThreshold');
+  const pdfDownsampleTarget = document.getElementById('pdfDownsampleTarget');
+  const pdfColorMode = document.getElementById('pdfColorMode');
+  const pdfBilevelOptions = document.getElementById('pdfBilevelOptions');
+  const pdfBilevelThreshold = document.getElementById('pdfBilevelThreshold');
+  const pdfBilevelThresholdValue = document.getElementById('pdfBilevelThresholdValue');
+  const pdfMinSaving = document.getElementById('pdfMinSaving');
   const applyBulkOptimization = document.getElementById('applyBulkOptimization');
+  const pdfTargetSize = document.getElementById('pdfTargetSize');
+  const applyTargetSize = document.getElementById('applyTargetSize');
+  const pdfTargetSizeResult = document.getElementById('pdfTargetSizeResult');
+  const pdfCleanupEnabled = document.getElementById('pdfCleanupEnabled');
+  const pdfCleanupOptions = document.getElementById('pdfCleanupOptions');
+  const pdfStripXmp = document.getElementById('pdfStripXmp');
+  const pdfPreset = document.getElementById('pdfPreset');
+  const defaultPdfPresetBtn = document.getElementById('defaultPdfPresetBtn');
+  const deletePdfPresetBtn = document.getElementById('deletePdfPresetBtn');
+  const pdfPresetName = document.getElementById('pdfPresetName');
+  const savePdfPresetBtn = document.getElementById('savePdfPresetBtn');
   const pdfGallery = document.getElementById('pdfGallery');
   const pdfImageGrid = document.getElementById('pdfImageGrid');
   const galleryImageCount = document.getElementById('galleryImageCount');
+  const galleryUndoBtn = document.getElementById('galleryUndoBtn');
   const savePdfBtn = document.getElementById('savePdfBtn');
   const backToGalleryBtn = document.getElementById('backToGalleryBtn');
 
@@ -146,12 +207,109 @@ document.addEventListener('DOMContentLoaded', () => {
   const editFromPreviewBtn = document.getElementById('editFromPreviewBtn');
   const previewQualitySlider = document.getElementById('previewQualitySlider');
   const previewQualityValue = document.getElementById('previewQualityValue');
+  const previewColorMode = document.getElementById('previewColorMode');
+  const previewThresholdControl = document.getElementById('previewThresholdControl');
+  const previewThresholdSlider = document.getElementById('previewThresholdSlider');
+  const previewThresholdValue = document.getElementById('previewThresholdValue');
+  const previewFormat = document.getElementById('previewFormat');
+  const previewMaxDimension = document.getElementById('previewMaxDimension');
+  const previewMaxDpi = document.getElementById('previewMaxDpi');
+  const previewExclude = document.getElementById('previewExclude');
   const previewCompareBtn = document.getElementById('previewCompareBtn');
   const previewApplyBtn = document.getElementById('previewApplyBtn');
+  const previewRevertBtn = document.getElementById('previewRevertBtn');
   const previewImageWrapper = document.getElementById('previewImageWrapper');
   const previewBgToggle = document.getElementById('previewBgToggle');
   const applyWarning = document.getElementById('applyWarning');
 
+  // PDF Size Breakdown Modal
+  const inspectPdfBtn = document.getElementById('inspectPdfBtn');
+  const pdfInspectorModal = document.getElementById('pdfInspectorModal');
+  const closeInspectorBtn = document.getElementById('closeInspectorBtn');
+  const pdfInspectorSummary = document.getElementById('pdfInspectorSummary');
+  const pdfInspectorCategories = document.getElementById('pdfInspectorCategories');
+  const pdfInspectorFonts = document.getElementById('pdfInspectorFonts');
+  const pdfInspectorObjects = document.getElementById('pdfInspectorObjects');
+
+  // PDF Optimization Report
+  const pdfReportBtn = document.getElementById('pdfReportBtn');
+  const pdfReportModal = document.getElementById('pdfReportModal');
+  const closeReportBtn = document.getElementById('closeReportBtn');
+  const pdfReportSummary = document.getElementById('pdfReportSummary');
+  const pdfReportImages = document.getElementById('pdfReportImages');
+  const downloadReportJsonBtn = document.getElementById('downloadReportJsonBtn');
+  const downloadReportCsvBtn = document.getElementById('downloadReportCsvBtn');
+  const printReportBtn = document.getElementById('printReportBtn');
+
+  // Images Not Written Back Dialog
+  const pdfNotWrittenModal = document.getElementById('pdfNotWrittenModal');
+  const closeNotWrittenBtn = document.getElementById('closeNotWrittenBtn');
+  const pdfNotWrittenSummary = document.getElementById('pdfNotWrittenSummary');
+  const pdfNotWrittenImages = document.getElementById('pdfNotWrittenImages');
+
+  // PDF Page Organizer
+  const organizePagesBtn = document.getElementById('organizePagesBtn');
+  const pdfOrganizerModal = document.getElementById('pdfOrganizerModal');
+  const closeOrganizerBtn = document.getElementById('closeOrganizerBtn');
+  const pdfOrganizerSummary = document.getElementById('pdfOrganizerSummary');
+  const pdfPageGrid = document.getElementById('pdfPageGrid');
+  const pdfExtractRange = document.getElementById('pdfExtractRange');
+  const extractPagesBtn = document.getElementById('extractPagesBtn');
+  const resetPageLayoutBtn = document.getElementById('resetPageLayoutBtn');
+
+  // PDF Split Dialog
+  const splitPdfBtn = document.getElementById('splitPdfBtn');
+  const pdfSplitModal = document.getElementById('pdfSplitModal');
+  const pdfSplitRanges = document.getElementById('pdfSplitRanges');
+  const pdfSplitEvery = document.getElementById('pdfSplitEvery');
+  const pdfSplitMaxSize = document.getElementById('pdfSplitMaxSize');
+  const confirmSplitBtn = document.getElementById('confirmSplitBtn');
+  const cancelSplitBtn = document.getElementById('cancelSplitBtn');
+
+  // Export Images Dialog
+  const exportImagesBtn = document.getElementById('exportImagesBtn');
+  const pdfExportModal = document.getElementById('pdfExportModal');
+  const confirmExportImagesBtn = document.getElementById('confirmExportImagesBtn');
+  const cancelExportImagesBtn = document.getElementById('cancelExportImagesBtn');
+
+  // Pages to Images Dialog
+  const exportPageImagesBtn = document.getElementById('exportPageImagesBtn');
+  const pdfPageImagesModal = document.getElementById('pdfPageImagesModal');
+  const pageImageDpi = document.getElementById('pageImageDpi');
+  const pageImageQualityGroup = document.getElementById('pageImageQualityGroup');
+  const pageImageQuality = document.getElementById('pageImageQuality');
+  const pageImageQualityValue = document.getElementById('pageImageQualityValue');
+  const pageImageRange = document.getElementById('pageImageRange');
+  const confirmPageImagesBtn = document.getElementById('confirmPageImagesBtn');
+  const cancelPageImagesBtn = document.getElementById('cancelPageImagesBtn');
+
+  // Images to PDF Dialog
+  const imagesToPdfBtn = document.getElementById('imagesToPdfBtn');
+  const imagesToPdfModal = document.getElementById('imagesToPdfModal');
+  const composeSummary = document.getElementById('composeSummary');
+  const composeImageInput = document.getElementById('composeImageInput');
+  const composeImageGrid = document.getElementById('composeImageGrid');
+  const composeOrientationGroup = document.getElementById('composeOrientationGroup');
+  const composeFitGroup = document.getElementById('composeFitGroup');
+  const composeMargin = document.getElementById('composeMargin');
+  const composeQuality = document.getElementById('composeQuality');
+  const composeQualityValue = document.getElementById('composeQualityValue');
+  const createComposedPdfBtn = document.getElementById('createComposedPdfBtn');
+  const cancelComposeBtn = document.getElementById('cancelComposeBtn');
+
+  // PDF Merge Dialog
+  const pdfMergeModal = document.getElementById('pdfMergeModal');
+  const pdfMergeList = document.getElementById('pdfMergeList');
+  const mergePdfsBtn = document.getElementById('mergePdfsBtn');
+  const cancelMergeBtn = document.getElementById('cancelMergeBtn');
+
+  // PDF Password Dialog
+  const pdfPasswordModal = document.getElementById('pdfPasswordModal');
+  const pdfPasswordForm = document.getElementById('pdfPasswordForm');
+  const pdfPasswordMessage = document.getElementById('pdfPasswordMessage');
+  const pdfPasswordInput = document.getElementById('pdfPasswordInput');
+  const cancelPdfPasswordBtn = document.getElementById('cancelPdfPasswordBtn');
+
   // --- Theme toggles ---
   const darkModeToggle = document.getElementById('darkModeToggle');
   const systemPrefCheckbox = document.getElementById('systemPrefCheckbox');
@@ -162,6 +320,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Undo stack - using HistoryManager for bounded memory
   const historyManager = new HistoryManager();
+  // Separate undo stack for the PDF gallery, holding image optimization results
+  const galleryHistory = new HistoryManager();
 
   // State accessor object - provides clean get/set access to editorState
   const state = {
@@ -268,6 +428,48 @@ document.addEventListener('DOMContentLoaded', () => {
     set pdfOriginalBytes(value) {
       editorState.set('pdf.originalBytes', value);
     },
+    get pdfSourceFiles() {
+      return editorState.get('pdf.sourceFiles');
+    },
+    set pdfSourceFiles(value) {
+      editorState.set('pdf.sourceFiles', value);
+    },
+    get pdfPassword() {
+      return editorState.get('pdf.password');
+    },
+    set pdfPassword(value) {
+      editorState.set('pdf.password', value);
+    },
+    get isPdfEncrypted() {
+      return editorState.get('pdf.isEncrypted');
+    },
+    set isPdfEncrypted(value) {
+      editorState.set('pdf.isEncrypted', value);
+    },
+    get pdfPageCount() {
+      return editorState.get('pdf.pageCount');
+    },
+    set pdfPageCount(value) {
+      editorState.set('pdf.pageCount', value);
+    },
+    get pdfPageLayout() {
+      return editorState.get('pdf.pageLayout');
+    },
+    set pdfPageLayout(value) {
+      editorState.set('pdf.pageLayout', value);
+    },
+    get pdfThumbnails() {
+      return editorState.get('pdf.thumbnails');
+    },
+    set pdfThumbnails(value) {
+      editorState.set('pdf.thumbnails', value);
+    },
+    get pdfReport() {
+      return editorState.get('pdf.report');
+    },
+    set pdfReport(value) {
+      editorState.set('pdf.report', value);
+    },
     get pdfImages() {
       return editorState.get('pdf.images');
     },
@@ -292,6 +494,12 @@ document.addEventListener('DOMContentLoaded', () => {
     set isPdfMode(value) {
       editorState.set('pdf.mode', value);
     },
+    get pdfExtractionMode() {
+      return editorState.get('pdf.extractionMode');
+    },
+    set pdfExtractionMode(value) {
+      editorState.set('pdf.extractionMode', value);
+    },
     get previewBgMode() {
       return editorState.get('pdf.previewBgMode');
     },
@@ -475,6 +683,17 @@ document.addEventListener('DOMContentLoaded', () => {
     loadingIndicator.style.display = show ? 'block' : 'none';
   }
 
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
   function showError(message) {
     notificationService.error(message);
   }
@@ -664,8 +883,11 @@ document.addEventListener('DOMContentLoaded', () => {
   ['dragenter', 'dragover'].forEach((eventName) => {
     document.body.addEventListener(
       eventName,
-      () => {
-        dropOverlay.style.display = 'flex';
+      (e) => {
+        // Only for files dragged in, not pages dragged in the page organizer
+        if (e.dataTransfer?.types.includes('Files')) {
+          dropOverlay.style.display = 'flex';
+        }
       },
       false
     );
@@ -687,6 +909,12 @@ document.addEventListener('DOMContentLoaded', () => {
       const dt = e.dataTransfer;
       const files = dt.files;
 
+      // Several images (or any dropped on the Images to PDF dialog) are combined into a PDF
+      if (imagesToPdfModal.style.display === 'flex' || files.length > 1) {
+        showComposeDialog(Array.from(files));
+        return;
+      }
+
       if (files.length > 0) {
         const file = files[0];
         if (!validateImageFileAndShow(file)) return;
@@ -740,27 +968,240 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // --------------------------------------------------------------------------------------------
+  // IMAGES TO PDF
+  // --------------------------------------------------------------------------------------------
+  // Images in page order: [{ file, url }], url is an object URL for the thumbnail and encoding
+  let composeImages = [];
+
+  imagesToPdfBtn?.addEventListener('click', () => showComposeDialog());
+
+  composeImageInput?.addEventListener('change', (event) => {
+    addComposeImages(Array.from(event.target.files));
+    composeImageInput.value = null;
+  });
+
+  composeQuality?.addEventListener('input', () => {
+    composeQualityValue.textContent = composeQuality.value;
+  });
+
+  // Orientation and placement don't apply when each page is the size of its image
+  document.querySelectorAll('input[name="composePageSize"]').forEach((radio) => {
+    radio.addEventListener('change', () => {
+      const fitToImage = radio.value === 'fit';
+      composeOrientationGroup.style.display = fitToImage ? 'none' : 'block';
+      composeFitGroup.style.display = fitToImage ? 'none' : 'block';
+    });
+  });
+
+  function showComposeDialog(files = []) {
+    if (imagesToPdfModal.style.display !== 'flex') {
+      // Start from the Format & Quality settings; PDFs can't store WebP, so it becomes JPEG
+      const format = getCurrentFormat() === 'image/png' ? 'image/png' : 'image/jpeg';
+      document.querySelector(`input[name="composeFormat"][value="${format}"]`).checked = true;
+      composeQuality.value = getCurrentQuality();
+      composeQualityValue.textContent = composeQuality.value;
+      imagesToPdfModal.style.display = 'flex';
+    }
+    addComposeImages(files);
+  }
+
+  function closeComposeDialog() {
+    imagesToPdfModal.style.display = 'none';
+    composeImages.forEach(({ url }) => URL.revokeObjectURL(url));
+    composeImages = [];
+  }
+
+  function addComposeImages(files) {
+    for (const file of files) {
+      if (!validateImageFileAndShow(file)) {
+        continue;
+      }
+      composeImages.push({ file, url: URL.createObjectURL(file) });
+    }
+    renderComposeGrid();
+  }
+
+  function moveComposeImage(from, to) {
+    const reordered = [...composeImages];
+    reordered.splice(to, 0, ...reordered.splice(from, 1));
+    composeImages = reordered;
+    renderComposeGrid();
+  }
+
+  function renderComposeGrid() {
+    composeSummary.textContent = `${composeImages.length} image(s)`;
+    createComposedPdfBtn.disabled = composeImages.length === 0;
+    composeImageGrid.innerHTML = '';
+
+    composeImages.forEach(({ file, url }, position) => {
+      const card = document.createElement('div');
+      card.className = 'pdf-page-card';
+      card.draggable = true;
+
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'pdf-page-thumbnail';
+      const imgElement = document.createElement('img');
+      imgElement.src = url;
+      imgElement.alt = file.name;
+      thumbnail.appendChild(imgElement);
+
+      const label = document.createElement('span');
+      label.className = 'image-number';
+      label.textContent = `Page ${position + 1}`;
+      label.title = file.name;
+
+      const actions = document.createElement('div');
+      actions.className = 'pdf-page-actions';
+      const earlier = createPageButton('←', 'Move earlier', () =>
+        moveComposeImage(position, position - 1)
+      );
+      earlier.disabled = position === 0;
+      const later = createPageButton('→', 'Move later', () =>
+        moveComposeImage(position, position + 1)
+      );
+      later.disabled = position === composeImages.length - 1;
+      const remove = createPageButton('✕', 'Remove image', () => {
+        URL.revokeObjectURL(url);
+        composeImages = composeImages.filter((_, i) => i !== position);
+        renderComposeGrid();
+      });
+      actions.append(earlier, later, remove);
+
+      card.append(thumbnail, label, actions);
+
+      // Drag and drop reordering
+      card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(position));
+        card.classList.add('dragging');
+      });
+      card.addEventListener('dragend', () => card.classList.remove('dragging'));
+      card.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        card.classList.add('drop-target');
+      });
+      card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+      card.addEventListener('drop', (e) => {
+        const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        card.classList.remove('drop-target');
+        if (isNaN(from)) {
+          return; // Files dropped on a card are added by the page's drop handler
+        }
+        e.preventDefault();
+        e.stopPropagation();
+        if (from !== position) {
+          moveComposeImage(from, position);
+        }
+      });
+
+      composeImageGrid.appendChild(card);
+    });
+  }
+
+  // Encode an image for the PDF; JPEG has no transparency, so it is flattened onto white
+  async function encodeComposeImage(url, format, quality) {
+    let canvas = await createFullCanvasFromImage(url);
+    if (format === 'image/jpeg') {
+      const flattened = document.createElement('canvas');
+      flattened.width = canvas.width;
+      flattened.height = canvas.height;
+      const ctx = flattened.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, flattened.width, flattened.height);
+      ctx.drawImage(canvas, 0, 0);
+      canvas = flattened;
+    }
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, format, quality));
+    return {
+      bytes: new Uint8Array(await blob.arrayBuffer()),
+      format,
+      width: canvas.width,
+      height: canvas.height,
+    };
+  }
+
+  cancelComposeBtn?.addEventListener('click', closeComposeDialog);
+
+  createComposedPdfBtn?.addEventListener('click', async () => {
+    const format =
+      document.querySelector('input[name="composeFormat"]:checked')?.value || 'image/jpeg';
+    const quality = parseFloat(composeQuality.value);
+    const marginMm = parseFloat(composeMargin.value) || 0;
+    if (marginMm < 0) {
+      showError('The margin cannot be negative.');
+      return;
+    }
+    const options = {
+      pageSize: document.querySelector('input[name="composePageSize"]:checked')?.value || 'a4',
+      orientation:
+        document.querySelector('input[name="composeOrientation"]:checked')?.value || 'auto',
+      fit: document.querySelector('input[name="composeFit"]:checked')?.value || 'fit',
+      margin: (marginMm * PDF.POINTS_PER_INCH) / PDF.MM_PER_INCH,
+    };
+
+    showLoading(true);
+    try {
+      const images = [];
+      for (const { url } of composeImages) {
+        images.push(await encodeComposeImage(url, format, quality));
+      }
+      const pdfBytes = await buildImagesPdf(images, options);
+
+      const baseName = composeImages[0].file.name.replace(/\.[^.]+$/, '');
+      downloadBlob(
+        new Blob([pdfBytes], { type: 'application/pdf' }),
+        sanitizeFilename(`${baseName}.pdf`)
+      );
+      showSuccess(`PDF created from ${images.length} image(s) (${formatBytes(pdfBytes.length)})`);
+      closeComposeDialog();
+    } catch (err) {
+      console.error('Error creating PDF from images:', err);
+      showError('Failed to create PDF: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  });
+
   // --------------------------------------------------------------------------------------------
   // PDF HANDLING
   // --------------------------------------------------------------------------------------------
+  pdfExtractionMode?.addEventListener('change', () => {
+    const mode = document.querySelector('input[name="extractionMode"]:checked')?.value;
+    hybridDpiGroup.style.display = mode === PDF.EXTRACTION_MODE_HYBRID ? 'block' : 'none';
+  });
+
   pdfUpload?.addEventListener('change', async (event) => {
-    const file = event.target.files[0];
-    if (!file || file.type !== 'application/pdf') {
-      pdfUpload.value = null;
+    const files = Array.from(event.target.files);
+    pdfUpload.value = null;
+    if (files.length === 0 || files.some((file) => file.type !== 'application/pdf')) {
       return;
     }
 
-    if (file.size > MAX_FILE_SIZE) {
+    const tooLarge = files.find((file) => file.size > MAX_FILE_SIZE);
+    if (tooLarge) {
       showError(
-        `PDF size (${formatBytes(file.size)}) exceeds ${formatBytes(MAX_FILE_SIZE)} limit.`
+        `PDF size of "${tooLarge.name}" (${formatBytes(tooLarge.size)}) exceeds ${formatBytes(MAX_FILE_SIZE)} limit.`
       );
-      pdfUpload.value = null;
       return;
     }
 
-    state.currentPdfFile = file;
-    fileNameDisplay.textContent = file.name;
+    // Several files are merged into one PDF, in the order chosen in the merge dialog
+    if (files.length > 1) {
+      showMergeDialog(files);
+      return;
+    }
+
+    await loadPdf(files[0]);
+  });
 
+  /**
+   * Open a PDF in the gallery
+   * @param {File} file - PDF to open
+   * @param {File[]} sourceFiles - Files it was merged from, if any
+   */
+  async function loadPdf(file, sourceFiles = [file]) {
     // Get extraction mode
     const extractionMode =
       document.querySelector('input[name="extractionMode"]:checked')?.value || 'images';
@@ -769,6 +1210,20 @@ document.addEventListener('DOMContentLoaded', () => {
     showLoading(true);
 
     try {
+      // Protected PDFs need their password before the current document is replaced
+      const password = await requestPdfPassword(file);
+      if (password === null) {
+        showLoading(false);
+        return;
+      }
+      state.pdfPassword = password;
+
+      state.currentPdfFile = file;
+      state.pdfSourceFiles = sourceFiles;
+      fileNameDisplay.textContent = file.name;
+      pdfSourceFiles.textContent = sourceFiles.map((source) => source.name).join(', ');
+      pdfSourceFilesInfo.style.display = sourceFiles.length > 1 ? 'block' : 'none';
+
       await extractImagesFromPDF(file, extractionMode);
       showPdfGallery();
       showLoading(false);
@@ -777,21 +1232,163 @@ document.addEventListener('DOMContentLoaded', () => {
       showError('Failed to process PDF. The file may be corrupted or password-protected.');
       showLoading(false);
     }
-    pdfUpload.value = null;
+  }
+
+  // Merge dialog: order the selected PDFs before they are merged
+  let mergeFiles = [];
+
+  function showMergeDialog(files) {
+    mergeFiles = files;
+    renderMergeList();
+    pdfMergeModal.style.display = 'flex';
+  }
+
+  function renderMergeList() {
+    pdfMergeList.innerHTML = '';
+    mergeFiles.forEach((file, index) => {
+      const item = document.createElement('li');
+      item.className = 'pdf-merge-item';
+
+      const name = document.createElement('span');
+      name.className = 'pdf-merge-name';
+      name.textContent = file.name;
+      const size = document.createElement('span');
+      size.className = 'image-size';
+      size.textContent = formatBytes(file.size);
+
+      const moveFile = (offset) => {
+        const reordered = [...mergeFiles];
+        reordered.splice(index + offset, 0, ...reordered.splice(index, 1));
+        mergeFiles = reordered;
+        renderMergeList();
+      };
+      const up = createPageButton('↑', 'Move up', () => moveFile(-1));
+      up.disabled = index === 0;
+      const down = createPageButton('↓', 'Move down', () => moveFile(1));
+      down.disabled = index === mergeFiles.length - 1;
+      const remove = createPageButton('✕', 'Remove from merge', () => {
+        mergeFiles = mergeFiles.filter((_, i) => i !== index);
+        renderMergeList();
+      });
+
+      item.append(name, size, up, down, remove);
+      pdfMergeList.appendChild(item);
+    });
+    mergePdfsBtn.disabled = mergeFiles.length === 0;
+  }
+
+  cancelMergeBtn?.addEventListener('click', () => {
+    pdfMergeModal.style.display = 'none';
+    mergeFiles = [];
+  });
+
+  mergePdfsBtn?.addEventListener('click', async () => {
+    const files = mergeFiles;
+    pdfMergeModal.style.display = 'none';
+    mergeFiles = [];
+
+    if (files.length === 1) {
+      await loadPdf(files[0]);
+      return;
+    }
+
+    showLoading(true);
+    try {
+      const sources = [];
+      for (const file of files) {
+        const password = await requestPdfPassword(file);
+        if (password === null) {
+          showLoading(false);
+          return;
+        }
+        sources.push({ bytes: new Uint8Array(await file.arrayBuffer()), password });
+      }
+
+      const mergedBytes = await mergePdfs(sources);
+      const mergedName = `${files[0].name.replace(/\.pdf$/i, '')}-merged.pdf`;
+      await loadPdf(new File([mergedBytes], mergedName, { type: 'application/pdf' }), files);
+    } catch (err) {
+      console.error('Error merging PDFs:', err);
+      showError('Failed to merge PDFs: ' + err.message);
+      showLoading(false);
+    }
   });
 
+  /**
+   * Find the password that opens `file`, prompting until the right one is entered
+   * @returns {Promise<string|null>} - '' for unprotected PDFs, null if the prompt was cancelled
+   */
+  async function requestPdfPassword(file, password = '') {
+    try {
+      await getPdfMetadata(file, password);
+      return password;
+    } catch (err) {
+      const reason = await getPasswordErrorReason(err);
+      if (!reason) {
+        throw err;
+      }
+
+      showLoading(false);
+      const nextPassword = await promptForPdfPassword(file.name, reason === 'incorrect');
+      if (nextPassword === null) {
+        return null;
+      }
+      showLoading(true);
+      return requestPdfPassword(file, nextPassword);
+    }
+  }
+
+  /**
+   * Show the password dialog
+   * @returns {Promise<string|null>} - Entered password, or null if cancelled
+   */
+  function promptForPdfPassword(fileName, isRetry) {
+    pdfPasswordMessage.textContent = isRetry
+      ? 'Incorrect password. Please try again.'
+      : `"${fileName}" is password protected. Enter its password to open it.`;
+    pdfPasswordInput.value = '';
+    pdfPasswordModal.style.display = 'flex';
+    pdfPasswordInput.focus();
+
+    return new Promise((resolve) => {
+      const close = (password) => {
+        pdfPasswordModal.style.display = 'none';
+        pdfPasswordForm.removeEventListener('submit', onSubmit);
+        cancelPdfPasswordBtn.removeEventListener('click', onCancel);
+        resolve(password);
+      };
+      const onSubmit = (event) => {
+        event.preventDefault();
+        close(pdfPasswordInput.value);
+      };
+      const onCancel = () => close(null);
+
+      pdfPasswordForm.addEventListener('submit', onSubmit);
+      cancelPdfPasswordBtn.addEventListener('click', onCancel);
+    });
+  }
+
   async function extractImagesFromPDF(file, mode = 'images') {
     console.log(`Starting PDF extraction with unpdf (mode: ${mode})...`);
 
+    state.pdfExtractionMode = mode;
+
     // Store original PDF bytes for rebuilding
     const arrayBuffer = await file.arrayBuffer();
     state.pdfOriginalBytes = new Uint8Array(arrayBuffer).slice();
     console.log(`Stored original PDF: ${state.pdfOriginalBytes.length} bytes`);
 
     // Get PDF metadata
-    const metadata = await getPdfMetadata(file);
+    const metadata = await getPdfMetadata(file, state.pdfPassword);
     pdfPages.textContent = metadata.numPages;
     pdfOriginalSize.textContent = formatBytes(file.size);
+    state.isPdfEncrypted = metadata.isEncrypted;
+    state.pdfPageCount = metadata.numPages;
+    pdfProtectionOptions.style.display = metadata.isEncrypted ? 'block' : 'none';
+    state.pdfPageLayout = null;
+    state.pdfThumbnails = null;
+    state.pdfReport = null;
+    pdfReportBtn.style.display = 'none';
 
     // Show progress
     const loadingProgress = document.getElementById('loadingProgress');
@@ -799,17 +1396,32 @@ document.addEventListener('DOMContentLoaded', () => {
     if (loadingProgress) {
       loadingProgress.style.display = 'flex';
       loadingText.textContent =
-        mode === 'fullpages' ? 'Rendering PDF pages...' : 'Extracting images from PDF...';
+        mode === 'fullpages'
+          ? 'Rendering PDF pages...'
+          : mode === PDF.EXTRACTION_MODE_HYBRID
+            ? 'Comparing pages with their rendered size...'
+            : 'Extracting images from PDF...';
     }
 
     // Extract images using unpdf
-    state.pdfImages = await extractPdfImages(file, mode);
+    const hybridOptions =
+      mode === PDF.EXTRACTION_MODE_HYBRID
+        ? {
+            dpi: parseFloat(hybridDpi?.value) || PDF.HYBRID_DPI,
+            quality: parseFloat(pdfQualitySlider.value),
+          }
+        : {};
+    state.pdfImages = await extractPdfImages(file, mode, state.pdfPassword, hybridOptions);
+    galleryHistory.clear();
+    updateGalleryUndoButton();
 
     if (state.pdfImages.length === 0) {
       throw new Error(
         mode === 'fullpages'
           ? 'Failed to render PDF pages.'
-          : 'No embedded images found. Switch to "Full Pages" mode to render the PDF pages as images.'
+          : mode === PDF.EXTRACTION_MODE_HYBRID
+            ? 'No embedded images found, and no page would be smaller as an image.'
+            : 'No embedded images found. Switch to "Full Pages" mode to render the PDF pages as images.'
       );
     }
 
@@ -820,6 +1432,17 @@ document.addEventListener('DOMContentLoaded', () => {
     galleryImageCount.textContent = state.pdfImages.length;
     renderPdfGallery();
 
+    if (mode === PDF.EXTRACTION_MODE_HYBRID) {
+      const flattenedPages = state.pdfImages
+        .filter((img) => img.flattened)
+        .map((img) => img.pageNum);
+      showSuccess(
+        flattenedPages.length > 0
+          ? `Hybrid mode: ${flattenedPages.length} of ${state.pdfPageCount} page(s) flattened (${flattenedPages.join(', ')})`
+          : 'Hybrid mode: no page is smaller as an image, embedded images extracted'
+      );
+    }
+
     // Show preview button after extraction
     if (previewAllBtn && state.pdfImages.length > 0) {
       previewAllBtn.style.display = 'block';
@@ -846,7 +1469,10 @@ document.addEventListener('DOMContentLoaded', () => {
       });
 
       const card = document.createElement('div');
-      card.className = 'pdf-image-card' + (img.isOptimized ? ' optimized' : '');
+      card.className =
+        'pdf-image-card' +
+        (img.isOptimized ? ' optimized' : '') +
+        (img.notWrittenReason ? ' not-written' : '');
 
       // Create img element separately to force browser refresh
       const imgElement = document.createElement('img');
@@ -857,13 +1483,33 @@ document.addEventListener('DOMContentLoaded', () => {
       infoDiv.className = 'pdf-image-info';
       infoDiv.innerHTML = `
                 <span class="image-number">Image #${idx + 1} (Page ${img.pageNum})</span>
+                ${img.pages?.length > 1 ? `<span class="image-pages">Used on pages ${img.pages.join(', ')}</span>` : ''}
                 <span class="image-size">${Math.round(img.width)} × ${Math.round(img.height)}px</span>
-                <span class="image-size">${formatBytes(img.optimizedSize || img.originalSize)}</span>
-                ${img.isOptimized ? `<span class="size-reduction">↓${Math.round((1 - img.optimizedSize / img.originalSize) * 100)}%</span>` : ''}
+                <span class="image-size">${formatBytes(img.optimizedSize || img.originalSize)}${img.storedFilter && !img.isOptimized ? ` (${img.storedFilter})` : ''}</span>
+                ${img.effectiveDpi ? `<span class="image-size">${getCurrentDpi(img)} DPI</span>` : ''}
+                ${img.isOptimized ? formatSizeChange(img) : ''}
+                ${img.keptOriginal ? '<span class="image-kept" title="Re-encoding did not save enough, so the image stored in the PDF is kept unchanged">Kept original</span>' : ''}
+                ${img.isOptimized && img.colorMode === PDF.COLOR_MODE_GRAY ? '<span class="image-color-mode">Grayscale</span>' : ''}
+                ${img.isOptimized && img.colorMode === PDF.COLOR_MODE_BILEVEL ? '<span class="image-color-mode">Black &amp; white</span>' : ''}
+                ${img.excluded ? '<span class="image-excluded" title="Excluded from optimization in the preview; the image stored in the PDF is kept unchanged">🔒 Excluded</span>' : ''}
+                ${img.notWrittenReason ? `<span class="image-not-written" title="${sanitizeInput(img.notWrittenReason).replace(/"/g, '&quot;')}">⚠ Not written back</span>` : ''}
+                ${img.flattened ? `<span class="image-flattened" title="This page is replaced by its image when saving (was ${formatBytes(img.contentSize)})">Flattened page</span>` : ''}
             `;
 
       card.appendChild(imgElement);
       card.appendChild(infoDiv);
+      if (img.isOptimized) {
+        const revertBtn = document.createElement('button');
+        revertBtn.className = 'btn btn-secondary btn-small pdf-image-revert';
+        revertBtn.textContent = '↺ Revert';
+        revertBtn.title = 'Revert to the image stored in the PDF';
+        revertBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          revertPdfImage(img);
+          showSuccess(`Image #${idx + 1} reverted to original`);
+        });
+        card.appendChild(revertBtn);
+      }
       card.addEventListener('click', () => showPreviewModal(idx));
       pdfImageGrid.appendChild(card);
 
@@ -876,11 +1522,37 @@ document.addEventListener('DOMContentLoaded', () => {
     updatePdfOptimizedSize();
   }
 
+  // Effective resolution of an image on the page, accounting for any downsampling since extraction
+  function getCurrentDpi(img) {
+    return Math.round(img.effectiveDpi * (img.width / (img.originalWidth ?? img.width)));
+  }
+
+  // Size change badge, measured against the image's stored size in the PDF
+  function formatSizeChange(img) {
+    const change = Math.round((1 - img.optimizedSize / img.originalSize) * 100);
+    return change >= 0
+      ? `<span class="size-reduction">↓${change}%</span>`
+      : `<span class="size-reduction size-increase">↑${-change}%</span>`;
+  }
+
   function updatePdfOptimizedSize() {
     let totalOptimized = 0;
-    state.pdfImages.forEach((img) => {
-      totalOptimized += img.optimizedSize || img.originalSize;
-    });
+    if (state.pdfExtractionMode === PDF.EXTRACTION_MODE_FULLPAGES || !state.pdfOriginalBytes) {
+      state.pdfImages.forEach((img) => {
+        totalOptimized += img.optimizedSize || img.originalSize;
+      });
+    } else {
+      // Start from the real file size and apply the change of each image that is written back
+      totalOptimized = state.pdfOriginalBytes.length;
+      state.pdfImages.forEach((img) => {
+        if (img.optimizedSize && img.storedFilter) {
+          totalOptimized += img.optimizedSize - img.originalSize;
+        } else if (img.flattened) {
+          // A flattened page's own content is replaced by its image
+          totalOptimized += (img.optimizedSize || img.originalSize) - img.contentSize;
+        }
+      });
+    }
     pdfOptimizedSize.textContent = formatBytes(totalOptimized);
 
     const optimizedCount = state.pdfImages.filter((img) => img.isOptimized).length;
@@ -903,6 +1575,7 @@ document.addEventListener('DOMContentLoaded', () => {
     pdfInfoSection.style.display = 'block';
     pdfBulkSection.style.display = 'block';
     savePdfBtn.style.display = 'inline-flex';
+    pdfReportBtn.style.display = state.pdfReport ? 'inline-flex' : 'none';
     saveBtn.style.display = 'none';
     clearSection.style.display = 'block';
 
@@ -935,6 +1608,7 @@ document.addEventListener('DOMContentLoaded', () => {
       pdfBulkSection.style.display = 'none';
       backToGalleryBtn.style.display = 'inline-flex';
       savePdfBtn.style.display = 'none';
+      pdfReportBtn.style.display = 'none';
       saveBtn.style.display = 'none';
 
       // Show editing tools (same as regular image editing)
@@ -971,6 +1645,7 @@ document.addEventListener('DOMContentLoaded', () => {
         const quality = getCurrentQuality();
         const optimizedDataURL = state.masterCanvas.toDataURL(format, quality);
         const optimizedSize = await getBlobSizeFromDataURL(optimizedDataURL);
+        pushGalleryHistory('image edit', [state.pdfImages[state.currentEditingImageIndex]]);
 
         console.log(
           'Saving image at index',
@@ -981,6 +1656,9 @@ document.addEventListener('DOMContentLoaded', () => {
         );
 
         state.pdfImages[state.currentEditingImageIndex].optimizedDataURL = optimizedDataURL;
+        state.pdfImages[state.currentEditingImageIndex].optimizedColorDataURL = null;
+        state.pdfImages[state.currentEditingImageIndex].optimizedStream = null;
+        state.pdfImages[state.currentEditingImageIndex].colorMode = PDF.COLOR_MODE_COLOR;
         state.pdfImages[state.currentEditingImageIndex].optimizedSize = optimizedSize;
         state.pdfImages[state.currentEditingImageIndex].isOptimized = true;
         state.pdfImages[state.currentEditingImageIndex].previewQuality = quality;
@@ -1083,128 +1761,796 @@ document.addEventListener('DOMContentLoaded', () => {
     pdfQualityValue.textContent = pdfQualitySlider.value;
   });
 
-  applyBulkOptimization?.addEventListener('click', async () => {
-    showLoading(true);
-    const quality = parseFloat(pdfQualitySlider.value);
-
-    try {
-      // Always re-optimize all images with current settings (allow quality adjustments)
-      for (let i = 0; i < state.pdfImages.length; i++) {
-        const img = state.pdfImages[i];
-
-        // Check for transparency and choose format accordingly
-        const hasAlpha = await hasTransparency(img.dataURL);
-        const selectedFormat = hasAlpha ? 'image/png' : 'image/jpeg';
-        console.log(
-          `Image ${i}: ${hasAlpha ? 'has transparency, using PNG' : 'opaque, using JPEG'}`
-        );
-
-        let optimizedDataURL;
-        let imgWidth = img.width;
-        let imgHeight = img.height;
-
-        if (hasAlpha) {
-          // For transparent images, use canvas method to preserve transparency
-          console.log(`Using canvas compression for transparent image ${i}`);
-          const canvas = await createFullCanvasFromImage(img.dataURL);
-          optimizedDataURL = canvas.toDataURL(selectedFormat, quality);
-          imgWidth = canvas.width;
-          imgHeight = canvas.height;
-        } else {
-          // For opaque images, try advanced compression first
-          optimizedDataURL = await compressImageAdvanced(img.dataURL, quality, selectedFormat);
-
-          if (!optimizedDataURL) {
-            // Fallback to standard canvas compression
-            console.log(`Using fallback compression for image ${i}`);
-            const canvas = await createFullCanvasFromImage(img.dataURL);
-            optimizedDataURL = canvas.toDataURL(selectedFormat, quality);
-            imgWidth = canvas.width;
-            imgHeight = canvas.height;
-          }
-        }
+  pdfColorMode?.addEventListener('change', () => {
+    const { colorMode } = getBulkColorOptions();
+    pdfBilevelOptions.style.display = colorMode === PDF.COLOR_MODE_BILEVEL ? 'block' : 'none';
+  });
 
-        const optimizedSize = await getBlobSizeFromDataURL(optimizedDataURL);
+  pdfBilevelThreshold?.addEventListener('input', () => {
+    pdfBilevelThresholdValue.textContent = pdfBilevelThreshold.value;
+  });
 
-        console.log(`Bulk optimizing image ${i}:`, {
-          format: selectedFormat,
-          quality: quality,
-          originalDataURLLength: img.dataURL.length,
-          optimizedDataURLLength: optimizedDataURL.length,
-          originalSize: img.originalSize,
-          optimizedSize: optimizedSize,
-          reduction: Math.round((1 - optimizedSize / img.originalSize) * 100) + '%',
-          areURLsSame: optimizedDataURL === img.dataURL,
-        });
+  // Color conversion chosen in the bulk settings
+  function getBulkColorOptions() {
+    return {
+      colorMode:
+        document.querySelector('input[name="pdfColorMode"]:checked')?.value || PDF.COLOR_MODE_COLOR,
+      threshold: parseInt(pdfBilevelThreshold?.value, 10) || PDF.BILEVEL_THRESHOLD,
+    };
+  }
 
-        state.pdfImages[i].optimizedDataURL = optimizedDataURL;
-        state.pdfImages[i].optimizedSize = optimizedSize;
-        state.pdfImages[i].isOptimized = true;
-        state.pdfImages[i].previewQuality = quality;
-        state.pdfImages[i].width = imgWidth;
-        state.pdfImages[i].height = imgHeight;
-      }
+  // Format chosen in the bulk settings
+  function getBulkFormat() {
+    return [...pdfFormatRadios].find((radio) => radio.checked)?.value || PDF.FORMAT_AUTO;
+  }
 
-      renderPdfGallery();
-      const avgReduction = Math.round(
-        (1 -
-          state.pdfImages.reduce((sum, img) => sum + img.optimizedSize, 0) /
-            state.pdfImages.reduce((sum, img) => sum + img.originalSize, 0)) *
-          100
-      );
-      showSuccess(`All ${state.pdfImages.length} images optimized (${avgReduction}% reduction)`);
+  // Format an image is stored in: its own format from the preview, otherwise the bulk format
+  function getImageFormat(img) {
+    return img.formatOverride && img.formatOverride !== PDF.FORMAT_AUTO
+      ? img.formatOverride
+      : getBulkFormat();
+  }
 
-      // Show preview button after optimization
-      if (previewAllBtn) {
-        previewAllBtn.style.display = 'block';
-      }
-    } catch (err) {
-      console.error('Error in bulk optimization:', err);
-      showError('Bulk optimization failed.');
-    } finally {
-      showLoading(false);
+  // Color conversion of an image: its own color mode from the preview, otherwise the bulk one
+  function getImageColorOptions(img) {
+    if (!img.colorModeOverride) {
+      return getBulkColorOptions();
     }
+    return {
+      colorMode: img.colorModeOverride,
+      threshold: img.bilevelThresholdOverride ?? PDF.BILEVEL_THRESHOLD,
+    };
+  }
+
+  pdfDownsampleEnabled?.addEventListener('change', () => {
+    pdfDownsampleOptions.style.display = pdfDownsampleEnabled.checked ? 'flex' : 'none';
   });
 
-  // PDF Preview Modal Functions
-  async function showPreviewModal(index) {
-    state.currentPreviewIndex = index;
-    await updatePreviewDisplay();
+  pdfCleanupEnabled?.addEventListener('change', () => {
+    pdfCleanupOptions.style.display = pdfCleanupEnabled.checked ? 'flex' : 'none';
+  });
 
-    // Set initial background
-    if (previewImageWrapper) {
-      previewImageWrapper.className = 'preview-image-wrapper bg-' + state.previewBgMode;
+  // Scale factor that brings an image placed above the DPI threshold down to the target DPI
+  function getDownsampleScale(img) {
+    if (!pdfDownsampleEnabled?.checked || !img.effectiveDpi) {
+      return 1;
     }
+    const threshold = parseFloat(pdfDownsampleThreshold.value) || PDF.DOWNSAMPLE_THRESHOLD_DPI;
+    const target = parseFloat(pdfDownsampleTarget.value) || PDF.DOWNSAMPLE_TARGET_DPI;
+    if (img.effectiveDpi <= threshold || target >= img.effectiveDpi) {
+      return 1;
+    }
+    return target / img.effectiveDpi;
+  }
 
-    if (pdfPreviewModal) {
-      pdfPreviewModal.style.display = 'flex';
+  // Scale factor for an image's own size limits: longest side in pixels, and placed DPI
+  function getImageScale(img, { maxDimension, maxDpi } = {}) {
+    const width = img.originalWidth ?? img.width;
+    const height = img.originalHeight ?? img.height;
+    let scale = 1;
+    if (maxDimension) {
+      scale = Math.min(scale, maxDimension / Math.max(width, height));
     }
+    if (maxDpi && img.effectiveDpi) {
+      scale = Math.min(scale, maxDpi / img.effectiveDpi);
+    }
+    return scale;
   }
 
-  function hidePreviewModal() {
-    if (pdfPreviewModal) {
-      pdfPreviewModal.style.display = 'none';
+  // Keep the stream stored in the PDF when re-encoding doesn't save at least the minimum
+  function shouldKeepOriginal(img, optimizedSize) {
+    if (state.pdfExtractionMode === PDF.EXTRACTION_MODE_FULLPAGES || !img.storedFilter) {
+      return false;
     }
+    const minSavingPercent = parseFloat(pdfMinSaving?.value);
+    const minSaving =
+      (Number.isFinite(minSavingPercent) ? minSavingPercent : PDF.KEEP_ORIGINAL_MIN_SAVING) / 100;
+    return optimizedSize > img.originalSize * (1 - minSaving);
   }
 
-  async function updatePreviewDisplay() {
-    if (!state.pdfImages[state.currentPreviewIndex]) return;
+  // Discard any re-encoded version so the original stream is written unchanged
+  function keepOriginalImage(img) {
+    img.optimizedDataURL = null;
+    img.optimizedColorDataURL = null;
+    img.optimizedStream = null;
+    img.optimizedSize = 0;
+    img.isOptimized = false;
+    img.keptOriginal = true;
+    img.width = img.originalWidth ?? img.width;
+    img.height = img.originalHeight ?? img.height;
+  }
 
-    const img = state.pdfImages[state.currentPreviewIndex];
+  // --------------------------------------------------------------------------------------------
+  // GALLERY UNDO / REVERT
+  // --------------------------------------------------------------------------------------------
+  // Image fields written by optimization and the per-image settings; everything else is
+  // extraction data that never changes
+  const PDF_IMAGE_RESULT_FIELDS = [
+    'optimizedDataURL',
+    'optimizedColorDataURL',
+    'optimizedStream',
+    'optimizedSize',
+    'isOptimized',
+    'keptOriginal',
+    'previewQuality',
+    'width',
+    'height',
+    'colorMode',
+    'bilevelThreshold',
+    'colorModeOverride',
+    'bilevelThresholdOverride',
+    'formatOverride',
+    'maxDimension',
+    'maxDpi',
+    'excluded',
+  ];
+
+  // Record the current state of `images` (all images by default) before an operation changes
+  // them, so Undo can put it back
+  function pushGalleryHistory(label, images = state.pdfImages) {
+    galleryHistory.push({
+      label,
+      images: images.map((img) => ({
+        img,
+        snapshot: Object.fromEntries(PDF_IMAGE_RESULT_FIELDS.map((field) => [field, img[field]])),
+      })),
+    });
+    updateGalleryUndoButton();
+  }
 
-    // If image hasn't been optimized yet, create an initial preview at default quality
-    if (!img.optimizedDataURL) {
-      const defaultQuality = 0.8;
-      try {
-        // Check for transparency and choose format accordingly
-        const hasAlpha = await hasTransparency(img.dataURL);
-        const selectedFormat = hasAlpha ? 'image/png' : 'image/jpeg';
-        console.log(
-          `Preview ${state.currentPreviewIndex}: ${hasAlpha ? 'has transparency, using PNG' : 'opaque, using JPEG'}`
+  function updateGalleryUndoButton() {
+    if (!galleryUndoBtn) {
+      return;
+    }
+    const entry = galleryHistory.peek();
+    galleryUndoBtn.disabled = !entry;
+    galleryUndoBtn.title = entry ? `Undo ${entry.label} (Ctrl+Z)` : 'Nothing to undo';
+  }
+
+  function undoGalleryOperation() {
+    const entry = galleryHistory.pop();
+    if (!entry) {
+      return;
+    }
+
+    entry.images.forEach(({ img, snapshot }) => {
+      Object.assign(img, snapshot);
+      img.tempPreviewDataURL = null;
+    });
+    updateGalleryUndoButton();
+    renderPdfGallery();
+    if (pdfPreviewModal?.style.display === 'flex') {
+      updatePreviewDisplay();
+    }
+    showSuccess(`Undid ${entry.label}`);
+  }
+
+  // Drop an image's optimization so the data stored in the PDF is written back unchanged
+  function revertPdfImage(img) {
+    pushGalleryHistory('revert to original', [img]);
+    keepOriginalImage(img);
+    img.keptOriginal = false;
+    img.tempPreviewDataURL = null;
+    renderPdfGallery();
+  }
+
+  galleryUndoBtn?.addEventListener('click', undoGalleryOperation);
+
+  // Re-encode a PDF image at the given quality, optionally downscaled by `scale`, converted
+  // to grayscale or black and white (`colorMode`, with `threshold` for black and white) and
+  // stored in a chosen `format` instead of the automatic choice
+  async function compressPdfImage(
+    img,
+    quality,
+    {
+      scale = 1,
+      hasAlpha,
+      colorMode = PDF.COLOR_MODE_COLOR,
+      threshold,
+      format = PDF.FORMAT_AUTO,
+    } = {}
+  ) {
+    // Check for transparency and choose format accordingly
+    const isTransparent = hasAlpha ?? (await hasTransparency(img.dataURL));
+
+    if (
+      !isTransparent &&
+      scale === 1 &&
+      colorMode === PDF.COLOR_MODE_COLOR &&
+      format !== 'image/png'
+    ) {
+      // For opaque images, try advanced compression first
+      const optimizedDataURL = await compressImageAdvanced(img.dataURL, quality, 'image/jpeg');
+      if (optimizedDataURL) {
+        return {
+          optimizedDataURL,
+          optimizedColorDataURL: null,
+          optimizedStream: null,
+          optimizedSize: await getBlobSizeFromDataURL(optimizedDataURL),
+          width: img.originalWidth ?? img.width,
+          height: img.originalHeight ?? img.height,
+          format: 'image/jpeg',
+        };
+      }
+    }
+
+    // Canvas compression preserves transparency and handles downscaling
+    const canvas = await createScaledCanvas(img.dataURL, scale);
+    const encoded = await encodePdfCanvas(canvas, quality, isTransparent, {
+      colorMode,
+      threshold,
+      format,
+    });
+    // Full Pages output is built by jsPDF from image files, so black and white pages are
+    // stored as their PNG rather than as a 1-bit stream
+    if (encoded.optimizedStream && state.pdfExtractionMode === PDF.EXTRACTION_MODE_FULLPAGES) {
+      encoded.optimizedStream = null;
+      encoded.optimizedSize = await getBlobSizeFromDataURL(encoded.optimizedDataURL);
+    }
+    return { ...encoded, width: canvas.width, height: canvas.height };
+  }
+
+  async function createScaledCanvas(dataURL, scale) {
+    const canvas = await createFullCanvasFromImage(dataURL);
+    if (scale >= 1) {
+      return canvas;
+    }
+    return resizeCanvas(
+      canvas,
+      Math.max(1, Math.round(canvas.width * scale)),
+      Math.max(1, Math.round(canvas.height * scale))
+    );
+  }
+
+  // Encode a PDF image canvas. Transparent images are stored like transparent photos in PDFs,
+  // as JPEG with a soft mask (optimizedColorDataURL holds the JPEG), or as PNG when that is
+  // smaller, as it is for flat-color graphics. Grayscale images are single-component JPEGs and
+  // black and white images 1-bit streams (optimizedStream); black and white drops transparency.
+  // A `format` of JPEG or PNG overrides the choice for color images.
+  async function encodePdfCanvas(
+    canvas,
+    quality,
+    isTransparent,
+    { colorMode = PDF.COLOR_MODE_COLOR, threshold, format = PDF.FORMAT_AUTO } = {}
+  ) {
+    const grayscale = colorMode === PDF.COLOR_MODE_GRAY;
+    if (colorMode === PDF.COLOR_MODE_BILEVEL || (grayscale && !isTransparent)) {
+      const { dataURL, size, stream } = await encodeMonochrome(canvas, quality, {
+        colorMode,
+        threshold,
+      });
+      return {
+        optimizedDataURL: dataURL,
+        optimizedColorDataURL: null,
+        optimizedStream: stream,
+        optimizedSize: size,
+        format: stream ? stream.filter : 'image/jpeg',
+      };
+    }
+
+    const encodePng = async () => {
+      const pngDataURL = canvas.toDataURL('image/png');
+      return {
+        optimizedDataURL: pngDataURL,
+        optimizedColorDataURL: null,
+        optimizedStream: null,
+        optimizedSize: await getBlobSizeFromDataURL(pngDataURL),
+        format: 'image/png',
+      };
+    };
+    if (format === 'image/png' && !grayscale) {
+      return encodePng();
+    }
+
+    if (!isTransparent) {
+      const optimizedDataURL = canvas.toDataURL('image/jpeg', quality);
+      return {
+        optimizedDataURL,
+        optimizedColorDataURL: null,
+        optimizedStream: null,
+        optimizedSize: await getBlobSizeFromDataURL(optimizedDataURL),
+        format: 'image/jpeg',
+      };
+    }
+
+    const softMask = await encodeWithSoftMask(canvas, quality, { grayscale });
+    const softMaskResult = {
+      optimizedDataURL: softMask.dataURL,
+      optimizedColorDataURL: softMask.colorDataURL,
+      optimizedStream: null,
+      optimizedSize: softMask.size,
+      format: 'image/jpeg+smask',
+    };
+    // A PNG would be written in color, so grayscale always uses the soft mask
+    if (grayscale || format === 'image/jpeg') {
+      return softMaskResult;
+    }
+
+    const png = await encodePng();
+    return softMask.size < png.optimizedSize ? softMaskResult : png;
+  }
+
+  applyBulkOptimization?.addEventListener('click', async () => {
+    showLoading(true);
+    const quality = parseFloat(pdfQualitySlider.value);
+
+    try {
+      let downsampledCount = 0;
+      let keptCount = 0;
+      let excludedCount = 0;
+      // Results are applied once every image is encoded, so a failure leaves the gallery as is
+      const updates = [];
+
+      // Always re-optimize all images with current settings (allow quality adjustments),
+      // except those excluded in the preview; their own format, color and size limits still apply
+      for (let i = 0; i < state.pdfImages.length; i++) {
+        const img = state.pdfImages[i];
+        if (img.excluded) {
+          excludedCount++;
+          continue;
+        }
+        const downsampleScale = getDownsampleScale(img);
+        if (downsampleScale < 1) {
+          downsampledCount++;
+        }
+        const scale = Math.min(downsampleScale, getImageScale(img, img));
+        const colorOptions = getImageColorOptions(img);
+        const {
+          optimizedDataURL,
+          optimizedColorDataURL,
+          optimizedStream,
+          optimizedSize,
+          width,
+          height,
+          format,
+        } = await compressPdfImage(img, quality, {
+          scale,
+          format: getImageFormat(img),
+          ...colorOptions,
+        });
+
+        console.log(`Bulk optimizing image ${i}:`, {
+          format,
+          quality: quality,
+          originalSize: img.originalSize,
+          optimizedSize: optimizedSize,
+          reduction: Math.round((1 - optimizedSize / img.originalSize) * 100) + '%',
+        });
+
+        if (shouldKeepOriginal(img, optimizedSize)) {
+          updates.push({ img, result: null });
+          keptCount++;
+          continue;
+        }
+
+        updates.push({
+          img,
+          result: {
+            optimizedDataURL,
+            optimizedColorDataURL,
+            optimizedStream,
+            optimizedSize,
+            colorMode: colorOptions.colorMode,
+            bilevelThreshold: colorOptions.threshold,
+            isOptimized: true,
+            keptOriginal: false,
+            width,
+            height,
+          },
+        });
+      }
+
+      if (updates.length > 0) {
+        pushGalleryHistory(
+          'bulk optimization',
+          updates.map(({ img }) => img)
+        );
+        updates.forEach(({ img, result }) => {
+          img.previewQuality = quality;
+          if (result) {
+            Object.assign(img, result);
+          } else {
+            keepOriginalImage(img);
+          }
+        });
+      }
+
+      renderPdfGallery();
+      const avgReduction = Math.round(
+        (1 -
+          state.pdfImages.reduce((sum, img) => sum + (img.optimizedSize || img.originalSize), 0) /
+            state.pdfImages.reduce((sum, img) => sum + img.originalSize, 0)) *
+          100
+      );
+      const downsampledNote = downsampledCount > 0 ? `, ${downsampledCount} downsampled` : '';
+      const keptNote = keptCount > 0 ? `, ${keptCount} kept original` : '';
+      const excludedNote = excludedCount > 0 ? `, ${excludedCount} excluded` : '';
+      const optimizedCount = state.pdfImages.length - excludedCount;
+      showSuccess(
+        `${excludedCount > 0 ? optimizedCount : 'All ' + optimizedCount} images optimized (${avgReduction}% reduction${downsampledNote}${keptNote}${excludedNote})`
+      );
+
+      // Show preview button after optimization
+      if (previewAllBtn) {
+        previewAllBtn.style.display = 'block';
+      }
+    } catch (err) {
+      console.error('Error in bulk optimization:', err);
+      showError('Bulk optimization failed.');
+    } finally {
+      showLoading(false);
+    }
+  });
+
+  // Target size: search for the highest quality whose real PDF output fits the target
+  async function fitPdfToTargetSize(targetBytes) {
+    const loadingText = document.querySelector('.loading-text');
+
+    // Candidate qualities in slider steps, lowest first
+    const stepCount = Math.round((PDF.MAX_QUALITY - PDF.MIN_QUALITY) / PDF.QUALITY_STEP);
+    const qualities = [];
+    for (let i = 0; i <= stepCount; i++) {
+      qualities.push(parseFloat((PDF.MIN_QUALITY + i * PDF.QUALITY_STEP).toFixed(2)));
+    }
+
+    // Transparency doesn't depend on the settings, so check each image once
+    const alphaFlags = [];
+    for (const img of state.pdfImages) {
+      alphaFlags.push(await hasTransparency(img.dataURL));
+    }
+
+    const tryCandidate = async (scale, quality) => {
+      if (loadingText) {
+        loadingText.textContent = `Trying quality ${quality.toFixed(2)} at ${Math.round(scale * 100)}% size...`;
+      }
+      const images = [];
+      for (let i = 0; i < state.pdfImages.length; i++) {
+        const img = state.pdfImages[i];
+        if (img.excluded) {
+          images.push(img);
+          continue;
+        }
+        const { colorMode, threshold } = getImageColorOptions(img);
+        const { format: _format, ...compressed } = await compressPdfImage(img, quality, {
+          scale: scale * Math.min(getDownsampleScale(img), getImageScale(img, img)),
+          hasAlpha: alphaFlags[i],
+          colorMode,
+          threshold,
+          format: getImageFormat(img),
+        });
+        const candidate = { ...img, previewQuality: quality };
+        if (shouldKeepOriginal(img, compressed.optimizedSize)) {
+          keepOriginalImage(candidate);
+        } else {
+          Object.assign(candidate, compressed, {
+            colorMode,
+            bilevelThreshold: threshold,
+            isOptimized: true,
+            keptOriginal: false,
+          });
+        }
+        images.push(candidate);
+      }
+      const blob = await buildPdfBlob(images);
+      return { scale, quality, size: blob.size, images };
+    };
+
+    let smallest = null;
+    for (const scale of PDF.TARGET_SIZE_SCALES) {
+      // If even the lowest quality doesn't fit at this size, downscale further
+      const floor = await tryCandidate(scale, qualities[0]);
+      if (!smallest || floor.size < smallest.size) {
+        smallest = floor;
+      }
+      if (floor.size > targetBytes) {
+        continue;
+      }
+
+      // Binary search for the highest quality that still fits
+      let best = floor;
+      let low = 1;
+      let high = qualities.length - 1;
+      while (low <= high) {
+        const mid = Math.floor((low + high) / 2);
+        const attempt = await tryCandidate(scale, qualities[mid]);
+        if (attempt.size <= targetBytes) {
+          best = attempt;
+          low = mid + 1;
+        } else {
+          high = mid - 1;
+        }
+      }
+      return { fits: true, ...best };
+    }
+
+    return { fits: false, ...smallest };
+  }
+
+  function showTargetSizeResult(message) {
+    if (pdfTargetSizeResult) {
+      pdfTargetSizeResult.textContent = message;
+      pdfTargetSizeResult.style.display = 'block';
+    }
+  }
+
+  applyTargetSize?.addEventListener('click', async () => {
+    const targetMB = parseFloat(pdfTargetSize.value);
+    if (!(targetMB > 0)) {
+      showError('Enter a target size in MB.');
+      return;
+    }
+    const targetBytes = Math.round(targetMB * 1024 * 1024);
+
+    if (state.pdfOriginalBytes && state.pdfOriginalBytes.length <= targetBytes) {
+      showTargetSizeResult(
+        `Already under target: the original PDF is ${formatBytes(state.pdfOriginalBytes.length)}.`
+      );
+      return;
+    }
+
+    showLoading(true);
+    const loadingText = document.querySelector('.loading-text');
+    const previousLoadingText = loadingText?.textContent;
+    try {
+      const result = await fitPdfToTargetSize(targetBytes);
+      const sizeNote =
+        result.scale < 1 ? ` with images at ${Math.round(result.scale * 100)}% size` : '';
+
+      if (!result.fits) {
+        showTargetSizeResult(
+          `Cannot reach ${formatBytes(targetBytes)}: the smallest achievable size is ${formatBytes(result.size)} (quality ${result.quality.toFixed(2)}${sizeNote}). The rest is text, fonts and vector content that image optimization cannot shrink.`
         );
+        notificationService.warning(`Target of ${formatBytes(targetBytes)} cannot be reached.`);
+        return;
+      }
+
+      pushGalleryHistory('fit to target size');
+      result.images.forEach((img, i) => Object.assign(state.pdfImages[i], img));
+      pdfQualitySlider.value = result.quality;
+      pdfQualityValue.textContent = result.quality;
+      renderPdfGallery();
+
+      showTargetSizeResult(
+        `Fits: ${formatBytes(result.size)} at quality ${result.quality.toFixed(2)}${sizeNote}. Click Save PDF to download.`
+      );
+      showSuccess(`PDF fits in ${formatBytes(targetBytes)} (${formatBytes(result.size)})`);
+    } catch (err) {
+      console.error('Error fitting PDF to target size:', err);
+      showError('Target size optimization failed.');
+    } finally {
+      if (loadingText) {
+        loadingText.textContent = previousLoadingText;
+      }
+      showLoading(false);
+    }
+  });
+
+  // --------------------------------------------------------------------------------------------
+  // PDF PRESETS
+  // --------------------------------------------------------------------------------------------
+  let pdfPresets = [];
+  let defaultPdfPresetId = null;
+
+  // Bulk settings that a preset bundles
+  function getBulkSettings() {
+    const { colorMode, threshold } = getBulkColorOptions();
+    return {
+      quality: parseFloat(pdfQualitySlider.value),
+      downsample: pdfDownsampleEnabled.checked,
+      downsampleThreshold: parseFloat(pdfDownsampleThreshold.value) || PDF.DOWNSAMPLE_THRESHOLD_DPI,
+      downsampleTarget: parseFloat(pdfDownsampleTarget.value) || PDF.DOWNSAMPLE_TARGET_DPI,
+      format: getBulkFormat(),
+      colorMode,
+      bilevelThreshold: threshold,
+      cleanup: pdfCleanupEnabled.checked,
+      stripXmp: pdfStripXmp.checked,
+    };
+  }
+
+  // Set the bulk controls to a preset's settings; settings it lacks get their defaults
+  function applyBulkSettings(settings) {
+    const format = settings.format || PDF.FORMAT_AUTO;
+    const colorMode = settings.colorMode || PDF.COLOR_MODE_COLOR;
+    pdfQualitySlider.value = settings.quality ?? PDF.DEFAULT_QUALITY;
+    pdfDownsampleEnabled.checked = !!settings.downsample;
+    pdfDownsampleThreshold.value = settings.downsampleThreshold ?? PDF.DOWNSAMPLE_THRESHOLD_DPI;
+    pdfDownsampleTarget.value = settings.downsampleTarget ?? PDF.DOWNSAMPLE_TARGET_DPI;
+    pdfFormatRadios.forEach((radio) => {
+      radio.checked = radio.value === format;
+    });
+    pdfColorMode.querySelectorAll('input[name="pdfColorMode"]').forEach((radio) => {
+      radio.checked = radio.value === colorMode;
+    });
+    pdfBilevelThreshold.value = settings.bilevelThreshold ?? PDF.BILEVEL_THRESHOLD;
+    pdfCleanupEnabled.checked = !!settings.cleanup;
+    pdfStripXmp.checked = !!settings.stripXmp;
+
+    // Refresh the value labels and the options that depend on these settings
+    [pdfQualitySlider, pdfBilevelThreshold].forEach((control) =>
+      control.dispatchEvent(new Event('input'))
+    );
+    [pdfDownsampleEnabled, pdfColorMode, pdfCleanupEnabled].forEach((control) =>
+      control.dispatchEvent(new Event('change'))
+    );
+  }
+
+  // Fill the preset list, built-in presets first, and select `selectedId`
+  function renderPresetOptions(selectedId) {
+    pdfPreset.innerHTML = '';
+    pdfPreset.add(new Option('Custom settings', ''));
+    [
+      ['Built-in', false],
+      ['My presets', true],
+    ].forEach(([label, custom]) => {
+      const presets = pdfPresets.filter((preset) => preset.custom === custom);
+      if (presets.length === 0) {
+        return;
+      }
+      const group = document.createElement('optgroup');
+      group.label = label;
+      presets.forEach((preset) => {
+        const name = preset.id === defaultPdfPresetId ? `${preset.name} (default)` : preset.name;
+        group.appendChild(new Option(name, preset.id));
+      });
+      pdfPreset.appendChild(group);
+    });
+    pdfPreset.value = selectedId || '';
+    updatePresetButtons();
+  }
+
+  function updatePresetButtons() {
+    const id = pdfPreset.value;
+    const isDefault = !!id && id === defaultPdfPresetId;
+    deletePdfPresetBtn.disabled = !isCustomPreset(id);
+    defaultPdfPresetBtn.disabled = !id;
+    defaultPdfPresetBtn.textContent = isDefault ? '★ Default' : '☆ Set as Default';
+    defaultPdfPresetBtn.title = isDefault
+      ? 'Stop applying this preset when the editor opens'
+      : 'Apply this preset whenever the editor opens';
+  }
+
+  // Load the presets and apply the default one (called in INIT section)
+  async function initPdfPresets() {
+    if (!pdfPreset) {
+      return;
+    }
+    ({ presets: pdfPresets, defaultPreset: defaultPdfPresetId } = await loadPdfPresets());
+    const defaultPreset = pdfPresets.find((preset) => preset.id === defaultPdfPresetId);
+    if (defaultPreset) {
+      applyBulkSettings(defaultPreset.settings);
+    }
+    renderPresetOptions(defaultPdfPresetId);
+  }
+
+  pdfPreset?.addEventListener('change', () => {
+    const id = pdfPreset.value;
+    const preset = pdfPresets.find((p) => p.id === id);
+    if (preset) {
+      applyBulkSettings(preset.settings);
+    }
+    updatePresetButtons();
+  });
+
+  // Changing a bundled setting by hand switches the list to custom settings
+  const presetControls = [
+    pdfQualitySlider,
+    pdfDownsampleEnabled,
+    pdfDownsampleThreshold,
+    pdfDownsampleTarget,
+    ...pdfFormatRadios,
+    ...document.querySelectorAll('input[name="pdfColorMode"]'),
+    pdfBilevelThreshold,
+    pdfCleanupEnabled,
+    pdfStripXmp,
+  ];
+  ['input', 'change'].forEach((type) =>
+    pdfBulkSection?.addEventListener(type, (e) => {
+      if (pdfPreset && pdfPreset.value && presetControls.includes(e.target)) {
+        pdfPreset.value = '';
+        updatePresetButtons();
+      }
+    })
+  );
+
+  savePdfPresetBtn?.addEventListener('click', async () => {
+    const name = pdfPresetName.value.trim();
+    if (!name) {
+      showError('Enter a name for the preset.');
+      return;
+    }
+
+    try {
+      const id = await saveCustomPreset(name, getBulkSettings());
+      ({ presets: pdfPresets, defaultPreset: defaultPdfPresetId } = await loadPdfPresets());
+      renderPresetOptions(id);
+      pdfPresetName.value = '';
+      showSuccess(`Preset "${name}" saved`);
+    } catch (err) {
+      console.error('Error saving preset:', err);
+      showError('Could not save the preset.');
+    }
+  });
+
+  deletePdfPresetBtn?.addEventListener('click', async () => {
+    const preset = pdfPresets.find((p) => p.id === pdfPreset.value);
+    if (!preset?.custom) {
+      return;
+    }
+
+    try {
+      await deleteCustomPreset(preset.id);
+      ({ presets: pdfPresets, defaultPreset: defaultPdfPresetId } = await loadPdfPresets());
+      renderPresetOptions('');
+      showSuccess(`Preset "${preset.name}" deleted`);
+    } catch (err) {
+      console.error('Error deleting preset:', err);
+      showError('Could not delete the preset.');
+    }
+  });
+
+  // Toggle whether the selected preset is applied when the editor opens
+  defaultPdfPresetBtn?.addEventListener('click', async () => {
+    const id = pdfPreset.value;
+    const preset = pdfPresets.find((p) => p.id === id);
+    if (!preset) {
+      return;
+    }
+
+    const newDefault = id === defaultPdfPresetId ? null : id;
+    try {
+      await setDefaultPreset(newDefault);
+      defaultPdfPresetId = newDefault;
+      renderPresetOptions(id);
+      showSuccess(
+        newDefault ? `"${preset.name}" is now the default preset` : 'Default preset cleared'
+      );
+    } catch (err) {
+      console.error('Error saving default preset:', err);
+      showError('Could not save the default preset.');
+    }
+  });
+
+  // PDF Preview Modal Functions
+  async function showPreviewModal(index) {
+    state.currentPreviewIndex = index;
+    await updatePreviewDisplay();
+
+    // Set initial background
+    if (previewImageWrapper) {
+      previewImageWrapper.className = 'preview-image-wrapper bg-' + state.previewBgMode;
+    }
+
+    if (pdfPreviewModal) {
+      pdfPreviewModal.style.display = 'flex';
+    }
+  }
+
+  function hidePreviewModal() {
+    if (pdfPreviewModal) {
+      pdfPreviewModal.style.display = 'none';
+    }
+  }
 
-        const canvas = await createFullCanvasFromImage(img.dataURL);
-        const initialOptimizedDataURL = canvas.toDataURL(selectedFormat, defaultQuality);
+  async function updatePreviewDisplay() {
+    if (!state.pdfImages[state.currentPreviewIndex]) return;
+
+    const img = state.pdfImages[state.currentPreviewIndex];
+
+    // If image hasn't been optimized yet, create an initial preview at default quality
+    // (excluded images are shown as they are)
+    if (!img.optimizedDataURL && !img.excluded) {
+      const defaultQuality = 0.8;
+      try {
+        // Check for transparency and choose format accordingly
+        const hasAlpha = await hasTransparency(img.dataURL);
+        const canvas = await createScaledCanvas(img.dataURL, getImageScale(img, img));
+        const { optimizedDataURL: initialOptimizedDataURL, format } = await encodePdfCanvas(
+          canvas,
+          defaultQuality,
+          hasAlpha,
+          { ...getImageColorOptions(img), format: img.formatOverride }
+        );
+        console.log(`Preview ${state.currentPreviewIndex}: using ${format}`);
 
         // Store as temporary preview (not saved until Apply is clicked)
         img.tempPreviewDataURL = initialOptimizedDataURL;
@@ -1215,7 +2561,9 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     }
 
-    const imageSrc = img.optimizedDataURL || img.tempPreviewDataURL || img.dataURL;
+    const imageSrc = img.excluded
+      ? img.dataURL
+      : img.optimizedDataURL || img.tempPreviewDataURL || img.dataURL;
 
     console.log('Preview image', state.currentPreviewIndex, {
       isOptimized: img.isOptimized,
@@ -1253,6 +2601,21 @@ document.addEventListener('DOMContentLoaded', () => {
     const currentQuality = img.previewQuality || 0.8;
     if (previewQualitySlider) previewQualitySlider.value = currentQuality;
     if (previewQualityValue) previewQualityValue.textContent = currentQuality.toFixed(2);
+    if (previewColorMode) {
+      previewColorMode.value = img.colorModeOverride || '';
+      const threshold = img.bilevelThresholdOverride ?? getBulkColorOptions().threshold;
+      previewThresholdSlider.value = threshold;
+      previewThresholdValue.textContent = threshold;
+      previewFormat.value = img.formatOverride || PDF.FORMAT_AUTO;
+      previewMaxDimension.value = img.maxDimension ?? '';
+      previewMaxDpi.value = img.maxDpi ?? '';
+      previewExclude.checked = !!img.excluded;
+      updatePreviewSettingsControls(img);
+    }
+
+    if (previewRevertBtn) {
+      previewRevertBtn.disabled = !img.isOptimized;
+    }
 
     // Update info
     if (previewImageNumber) {
@@ -1268,7 +2631,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
       previewImageSize.textContent = img.isOptimized
         ? `${Math.round(img.width)}×${Math.round(img.height)} • ${originalSizeMB} MB → ${optimizedSizeMB} MB (${reduction}% reduction)`
-        : `${Math.round(img.width)}×${Math.round(img.height)} • ${originalSizeMB} MB (not optimized)`;
+        : `${Math.round(img.width)}×${Math.round(img.height)} • ${originalSizeMB} MB (${img.keptOriginal ? 'kept original' : 'not optimized'})`;
     }
 
     // Update navigation buttons
@@ -1303,6 +2666,84 @@ document.addEventListener('DOMContentLoaded', () => {
     editPdfImage(state.currentPreviewIndex);
   });
 
+  // Settings chosen for the previewed image (blank size limits mean no limit), with the color
+  // conversion they result in (no color mode of its own means the bulk one)
+  function getPreviewSettings() {
+    const maxDimension = parseInt(previewMaxDimension?.value, 10);
+    const maxDpi = parseInt(previewMaxDpi?.value, 10);
+    const colorModeOverride = previewColorMode?.value || null;
+    const bilevelThresholdOverride =
+      colorModeOverride === PDF.COLOR_MODE_BILEVEL
+        ? parseInt(previewThresholdSlider?.value, 10) || PDF.BILEVEL_THRESHOLD
+        : null;
+    return {
+      colorModeOverride,
+      bilevelThresholdOverride,
+      ...getImageColorOptions({ colorModeOverride, bilevelThresholdOverride }),
+      format: previewFormat?.value || PDF.FORMAT_AUTO,
+      maxDimension: maxDimension > 0 ? maxDimension : null,
+      maxDpi: maxDpi > 0 ? maxDpi : null,
+    };
+  }
+
+  // Show the controls that apply: the threshold for black and white, the format for color,
+  // and none of the encoding settings for an excluded image
+  function updatePreviewSettingsControls(img) {
+    const excluded = previewExclude.checked;
+    const { colorModeOverride, colorMode } = getPreviewSettings();
+    previewThresholdControl.style.display =
+      colorModeOverride === PDF.COLOR_MODE_BILEVEL ? 'flex' : 'none';
+    previewFormat.disabled = excluded || colorMode !== PDF.COLOR_MODE_COLOR;
+    previewMaxDpi.disabled = excluded || !img?.effectiveDpi;
+    [
+      previewQualitySlider,
+      previewColorMode,
+      previewThresholdSlider,
+      previewMaxDimension,
+      previewApplyBtn,
+    ].forEach((control) => {
+      control.disabled = excluded;
+    });
+  }
+
+  // Setting changes update the live preview like the quality slider
+  previewColorMode?.addEventListener('change', () => {
+    updatePreviewSettingsControls(state.pdfImages[state.currentPreviewIndex]);
+    previewQualitySlider?.dispatchEvent(new Event('input'));
+  });
+
+  previewThresholdSlider?.addEventListener('input', () => {
+    previewThresholdValue.textContent = previewThresholdSlider.value;
+    previewQualitySlider?.dispatchEvent(new Event('input'));
+  });
+
+  [previewFormat, previewMaxDimension, previewMaxDpi].forEach((control) =>
+    control?.addEventListener('change', () => {
+      previewQualitySlider?.dispatchEvent(new Event('input'));
+    })
+  );
+
+  // Excluding an image restores its original data right away; bulk optimization and Fit to
+  // Target Size leave it alone until it is included again
+  previewExclude?.addEventListener('change', () => {
+    const img = state.pdfImages[state.currentPreviewIndex];
+    if (!img) {
+      return;
+    }
+
+    pushGalleryHistory(previewExclude.checked ? 'exclude image' : 'include image', [img]);
+    img.excluded = previewExclude.checked;
+    if (img.excluded) {
+      keepOriginalImage(img);
+      img.keptOriginal = false;
+      if (applyWarning) {
+        applyWarning.style.display = 'none';
+      }
+    }
+    renderPdfGallery();
+    updatePreviewDisplay();
+  });
+
   // Preview quality slider - live preview
   let previewDebounceTimer = null;
   previewQualitySlider?.addEventListener('input', async () => {
@@ -1320,16 +2761,15 @@ document.addEventListener('DOMContentLoaded', () => {
     clearTimeout(previewDebounceTimer);
     previewDebounceTimer = setTimeout(async () => {
       const img = state.pdfImages[state.currentPreviewIndex];
-      if (!img) return;
+      if (!img || img.excluded) return;
 
       try {
-        // Check for transparency and choose format accordingly
+        // Create live preview at new quality, encoded the way Apply will encode it
+        const settings = getPreviewSettings();
         const hasAlpha = await hasTransparency(img.dataURL);
-        const selectedFormat = hasAlpha ? 'image/png' : 'image/jpeg';
-
-        // Create live preview at new quality
-        const canvas = await createFullCanvasFromImage(img.dataURL);
-        const livePreviewDataURL = canvas.toDataURL(selectedFormat, quality);
+        const canvas = await createScaledCanvas(img.dataURL, getImageScale(img, settings));
+        const { optimizedDataURL: livePreviewDataURL, optimizedSize: estimatedSize } =
+          await encodePdfCanvas(canvas, quality, hasAlpha, settings);
 
         // Update preview image with live preview (works even in compare mode)
         if (previewImage) {
@@ -1337,12 +2777,11 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Update size estimate
-        const estimatedSize = await getBlobSizeFromDataURL(livePreviewDataURL);
         const reduction = Math.round((1 - estimatedSize / img.originalSize) * 100);
         if (previewImageSize) {
           const originalSizeMB = (img.originalSize / (1024 * 1024)).toFixed(2);
           const estimatedSizeMB = (estimatedSize / (1024 * 1024)).toFixed(2);
-          previewImageSize.textContent = `${Math.round(img.width)}×${Math.round(img.height)} • ${originalSizeMB} MB → ${estimatedSizeMB} MB (${reduction}% reduction) - Preview`;
+          previewImageSize.textContent = `${canvas.width}×${canvas.height} • ${originalSizeMB} MB → ${estimatedSizeMB} MB (${reduction}% reduction) - Preview`;
         }
       } catch (err) {
         console.error('Error in live preview:', err);
@@ -1409,6 +2848,7 @@ document.addEventListener('DOMContentLoaded', () => {
     if (!img) return;
 
     const quality = parseFloat(previewQualitySlider.value);
+    const settings = getPreviewSettings();
 
     // Hide warning and show saving message
     if (applyWarning) {
@@ -1421,39 +2861,18 @@ document.addEventListener('DOMContentLoaded', () => {
 
     showLoading(true);
     try {
-      // Check for transparency and choose format accordingly
-      const hasAlpha = await hasTransparency(img.dataURL);
-      const selectedFormat = hasAlpha ? 'image/png' : 'image/jpeg';
-      console.log(
-        `Apply: Image ${state.currentPreviewIndex} - ${hasAlpha ? 'has transparency, using PNG' : 'opaque, using JPEG'}`
-      );
-
-      let optimizedDataURL;
-      let imgWidth = img.width;
-      let imgHeight = img.height;
-
-      if (hasAlpha) {
-        // For transparent images, use canvas method to preserve transparency
-        console.log(`Using canvas compression for transparent preview`);
-        const canvas = await createFullCanvasFromImage(img.dataURL);
-        optimizedDataURL = canvas.toDataURL(selectedFormat, quality);
-        imgWidth = canvas.width;
-        imgHeight = canvas.height;
-      } else {
-        // For opaque images, try advanced compression first
-        optimizedDataURL = await compressImageAdvanced(img.dataURL, quality, selectedFormat);
-
-        if (!optimizedDataURL) {
-          // Fallback to standard canvas compression
-          console.log(`Using fallback compression for preview`);
-          const canvas = await createFullCanvasFromImage(img.dataURL);
-          optimizedDataURL = canvas.toDataURL(selectedFormat, quality);
-          imgWidth = canvas.width;
-          imgHeight = canvas.height;
-        }
-      }
-
-      const optimizedSize = await getBlobSizeFromDataURL(optimizedDataURL);
+      const {
+        optimizedDataURL,
+        optimizedColorDataURL,
+        optimizedStream,
+        optimizedSize,
+        width: imgWidth,
+        height: imgHeight,
+        format: selectedFormat,
+      } = await compressPdfImage(img, quality, {
+        ...settings,
+        scale: getImageScale(img, settings),
+      });
 
       console.log(`Preview: Applied quality ${quality} to image ${state.currentPreviewIndex}`, {
         format: selectedFormat,
@@ -1462,9 +2881,31 @@ document.addEventListener('DOMContentLoaded', () => {
         reduction: Math.round((1 - optimizedSize / img.originalSize) * 100) + '%',
       });
 
+      pushGalleryHistory('quality change', [img]);
+      img.colorModeOverride = settings.colorModeOverride;
+      img.bilevelThresholdOverride = settings.bilevelThresholdOverride;
+      img.formatOverride = settings.format;
+      img.maxDimension = settings.maxDimension;
+      img.maxDpi = settings.maxDpi;
+      if (shouldKeepOriginal(img, optimizedSize)) {
+        keepOriginalImage(img);
+        img.previewQuality = quality;
+        renderPdfGallery();
+        updatePreviewDisplay();
+        notificationService.warning(
+          `Kept original: re-encoding at quality ${quality.toFixed(2)} would not make this image smaller.`
+        );
+        return;
+      }
+
       // Update the state.pdfImages array
+      state.pdfImages[state.currentPreviewIndex].keptOriginal = false;
       state.pdfImages[state.currentPreviewIndex].optimizedDataURL = optimizedDataURL;
+      state.pdfImages[state.currentPreviewIndex].optimizedColorDataURL = optimizedColorDataURL;
+      state.pdfImages[state.currentPreviewIndex].optimizedStream = optimizedStream;
       state.pdfImages[state.currentPreviewIndex].optimizedSize = optimizedSize;
+      state.pdfImages[state.currentPreviewIndex].colorMode = settings.colorMode;
+      state.pdfImages[state.currentPreviewIndex].bilevelThreshold = settings.threshold;
       state.pdfImages[state.currentPreviewIndex].isOptimized = true;
       state.pdfImages[state.currentPreviewIndex].previewQuality = quality;
       state.pdfImages[state.currentPreviewIndex].width = imgWidth;
@@ -1490,6 +2931,21 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Preview revert button
+  previewRevertBtn?.addEventListener('click', () => {
+    const img = state.pdfImages[state.currentPreviewIndex];
+    if (!img) {
+      return;
+    }
+
+    revertPdfImage(img);
+    if (applyWarning) {
+      applyWarning.style.display = 'none';
+    }
+    updatePreviewDisplay();
+    showSuccess('Reverted to original');
+  });
+
   // Comparison slider drag functionality
   let isDraggingPreviewSlider = false;
 
@@ -1559,6 +3015,56 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Keyboard navigation in preview mode
   document.addEventListener('keydown', (e) => {
+    if (pdfPasswordModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      cancelPdfPasswordBtn.click();
+      return;
+    }
+    if (pdfInspectorModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      pdfInspectorModal.style.display = 'none';
+      return;
+    }
+    if (pdfNotWrittenModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      pdfNotWrittenModal.style.display = 'none';
+      return;
+    }
+    if (pdfReportModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      pdfReportModal.style.display = 'none';
+      return;
+    }
+    if (pdfSplitModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      pdfSplitModal.style.display = 'none';
+      return;
+    }
+    if (pdfPageImagesModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      pdfPageImagesModal.style.display = 'none';
+      return;
+    }
+    if (pdfExportModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      pdfExportModal.style.display = 'none';
+      return;
+    }
+    if (imagesToPdfModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      closeComposeDialog();
+      return;
+    }
+    if (pdfMergeModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      cancelMergeBtn.click();
+      return;
+    }
+    if (pdfOrganizerModal?.style.display === 'flex' && e.key === 'Escape') {
+      e.preventDefault();
+      pdfOrganizerModal.style.display = 'none';
+      return;
+    }
     if (pdfPreviewModal && pdfPreviewModal.style.display === 'flex') {
       if (e.key === 'ArrowLeft') {
         e.preventDefault();
@@ -1573,354 +3079,666 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  // Whether the saved PDF keeps the original's password protection
+  function shouldKeepEncryption() {
+    return (
+      state.isPdfEncrypted &&
+      document.querySelector('input[name="pdfProtection"]:checked')?.value !== 'remove'
+    );
+  }
+
+  // Build the output PDF for the current extraction mode
+  async function buildPdfBlob(
+    images = state.pdfImages,
+    pageLayout = getSavePageLayout(),
+    { keepEncryption = shouldKeepEncryption(), results } = {}
+  ) {
+    if (state.pdfExtractionMode === PDF.EXTRACTION_MODE_FULLPAGES) {
+      // Full page mode: create new PDF from rendered pages
+      const blob = buildRasterizedPdf(images);
+      if (!pageLayout && !keepEncryption) {
+        return blob;
+      }
+
+      let pdfBytes = new Uint8Array(await blob.arrayBuffer());
+      if (pageLayout) {
+        pdfBytes = await rearrangePdf(pdfBytes, pageLayout);
+      }
+      if (keepEncryption) {
+        pdfBytes = await copyPdfProtection(pdfBytes, state.pdfOriginalBytes, state.pdfPassword);
+      }
+      return new Blob([pdfBytes], { type: 'application/pdf' });
+    }
+
+    // Images only mode: modify original PDF, preserving text
+    const pdfBytes = await buildOptimizedPdf(state.pdfOriginalBytes, images, {
+      cleanup: !!pdfCleanupEnabled?.checked,
+      stripXmp: !!pdfStripXmp?.checked,
+      password: state.pdfPassword,
+      keepEncryption,
+      pageLayout,
+      flattenedPages: images.filter((img) => img.flattened),
+      results,
+    });
+    return new Blob([pdfBytes], { type: 'application/pdf' });
+  }
+
   // Save optimized PDF with text preservation
   savePdfBtn?.addEventListener('click', async () => {
     showLoading(true);
     try {
-      // Check if we're in full page mode (pages were rendered, not just images extracted)
-      const isFullPageMode =
-        state.pdfImages.length > 0 && state.pdfImages[0].imageName.startsWith('page_');
-
-      if (isFullPageMode) {
-        // Full page mode: create new PDF from rendered pages
+      if (state.pdfExtractionMode === PDF.EXTRACTION_MODE_FULLPAGES) {
         console.log('Creating new PDF from rendered pages...');
+        const pdfBlob = await buildPdfBlob();
+        downloadBlob(pdfBlob, state.currentPdfFile.name.replace('.pdf', '_optimized.pdf'));
+        updatePdfReport(pdfBlob.size);
+        showSuccess('PDF saved successfully!');
+        return;
+      }
 
-        if (!window.jspdf || !window.jspdf.jsPDF) {
-          throw new Error('jsPDF library not loaded.');
-        }
+      console.log('Loading original PDF for modification...');
+      const results = new Map();
+      const blob = await buildPdfBlob(undefined, undefined, { results });
+      updatePdfReport(blob.size, results);
+      const notWritten = markNotWrittenImages(results);
+      const originalName = state.currentPdfFile.name.replace('.pdf', '');
+      downloadBlob(blob, `${originalName}-optimized.pdf`);
 
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF({
-          orientation: 'portrait',
-          unit: 'px',
-          format: [state.pdfImages[0].width, state.pdfImages[0].height],
-        });
+      // Calculate actual saved size
+      const savedSize = blob.size;
+      const originalSize = state.pdfOriginalBytes.length;
+      const reduction = Math.round((1 - savedSize / originalSize) * 100);
+      const keptCount = state.pdfImages.filter((img) => img.keptOriginal).length;
+      const keptNote = keptCount > 0 ? `, ${keptCount} image(s) kept original` : '';
+      const flattenedCount = state.pdfImages.filter((img) => img.flattened).length;
+      const flattenedNote = flattenedCount > 0 ? `, ${flattenedCount} page(s) flattened` : '';
+      const notWrittenNote =
+        notWritten.length > 0 ? `, ${notWritten.length} image(s) not written back` : '';
+
+      showSuccess(
+        `PDF saved! ${formatBytes(originalSize)} → ${formatBytes(savedSize)} (${reduction}% reduction${keptNote}${flattenedNote}${notWrittenNote})`
+      );
+      if (notWritten.length > 0) {
+        showNotWrittenImages(notWritten);
+      }
+      console.log('PDF save complete!');
+    } catch (err) {
+      console.error('Error saving PDF:', err);
+      showError('Failed to save PDF: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  });
+
+  // Mark the images the save could not write back, with the reason, and re-render the gallery
+  // so their cards show it. Returns the marked images
+  function markNotWrittenImages(results) {
+    state.pdfImages.forEach((img) => {
+      const result = results.get(img);
+      img.notWrittenReason =
+        result && !result.replaced && result.warnings.length > 0
+          ? result.warnings.join('; ')
+          : null;
+    });
+    renderPdfGallery();
+    return state.pdfImages.filter((img) => img.notWrittenReason);
+  }
 
-        // Add first page
-        const firstImg = state.pdfImages[0];
-        const imgData = firstImg.optimizedDataURL || firstImg.dataURL;
-        pdf.addImage(imgData, 'PNG', 0, 0, firstImg.width, firstImg.height);
-
-        // Add remaining pages
-        for (let i = 1; i < state.pdfImages.length; i++) {
-          const img = state.pdfImages[i];
-          const pageImgData = img.optimizedDataURL || img.dataURL;
-          pdf.addPage([img.width, img.height], img.width > img.height ? 'landscape' : 'portrait');
-          pdf.addImage(pageImgData, 'PNG', 0, 0, img.width, img.height);
+  function showNotWrittenImages(images) {
+    pdfNotWrittenSummary.textContent = `${images.length} of ${state.pdfImages.length} images were kept as they are in the PDF`;
+
+    // Names and reasons come from the PDF, so set them as text rather than HTML
+    pdfNotWrittenImages.innerHTML = '';
+    images.forEach((img) => {
+      const row = document.createElement('tr');
+      const thumbnailCell = document.createElement('td');
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'not-written-thumbnail';
+      thumbnail.alt = img.imageName;
+      thumbnail.src = img.optimizedDataURL || img.dataURL;
+      thumbnailCell.appendChild(thumbnail);
+      row.appendChild(thumbnailCell);
+      [img.imageName, (img.pages || [img.pageNum]).join(', '), img.notWrittenReason].forEach(
+        (value) => {
+          const cell = document.createElement('td');
+          cell.textContent = value;
+          row.appendChild(cell);
         }
+      );
+      pdfNotWrittenImages.appendChild(row);
+    });
+    pdfNotWrittenModal.style.display = 'flex';
+  }
 
-        // Save the PDF
-        const pdfBlob = pdf.output('blob');
-        const url = URL.createObjectURL(pdfBlob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = state.currentPdfFile.name.replace('.pdf', '_optimized.pdf');
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+  closeNotWrittenBtn?.addEventListener('click', () => {
+    pdfNotWrittenModal.style.display = 'none';
+  });
 
-        showSuccess('PDF saved successfully!');
-        showLoading(false);
-        return;
-      }
+  // Settings in effect when the PDF was saved, listed in the report
+  function getReportSettings() {
+    const presetOption = pdfPreset?.selectedOptions[0];
+    return {
+      preset: presetOption?.value ? presetOption.textContent : 'Custom settings',
+      ...getBulkSettings(),
+      keepOriginalMinSaving: parseFloat(pdfMinSaving?.value) || 0,
+      keepEncryption: shouldKeepEncryption(),
+      pagesRearranged: !!getSavePageLayout(),
+    };
+  }
 
-      // Images only mode: modify original PDF
-      // Verify pdf-lib is loaded
-      if (!window.PDFLib) {
-        throw new Error(
-          'pdf-lib library not loaded. Make sure pdf-lib.min.js is in your extension folder.'
-        );
+  // Build the report of a save; `results` holds the write outcome of each image
+  function updatePdfReport(savedSize, results) {
+    state.pdfReport = buildOptimizationReport({
+      fileName: state.currentPdfFile.name,
+      originalSize: state.pdfOriginalBytes?.length ?? state.currentPdfFile.size,
+      savedSize,
+      mode: state.pdfExtractionMode,
+      settings: getReportSettings(),
+      images: state.pdfImages,
+      results,
+    });
+    pdfReportBtn.style.display = 'inline-flex';
+  }
+
+  function renderPdfReport(report) {
+    const { document: doc } = report;
+    const warningNote = doc.warningCount > 0 ? ` • ${doc.warningCount} with warnings` : '';
+    pdfReportSummary.textContent = `${formatBytes(doc.originalSize)} → ${formatBytes(doc.savedSize)} (${doc.reduction}% reduction) • ${doc.replacedCount} of ${doc.imageCount} images replaced${warningNote}`;
+
+    // Names come from the PDF, so set them as text rather than HTML
+    pdfReportImages.innerHTML = '';
+    report.images.forEach((row) => {
+      const tr = document.createElement('tr');
+      const dimensions = `${row.originalWidth}×${row.originalHeight}`;
+      [
+        row.number,
+        row.pages.join(', '),
+        row.name,
+        row.newWidth ? `${dimensions} → ${row.newWidth}×${row.newHeight}` : dimensions,
+        row.replaced
+          ? `${formatBytes(row.originalSize)} → ${formatBytes(row.newSize)}`
+          : formatBytes(row.originalSize),
+        row.newFormat || row.originalFormat || '',
+        row.replaced ? 'Yes' : 'No',
+        [...row.notes, ...row.warnings].join('; '),
+      ].forEach((value) => {
+        const td = document.createElement('td');
+        td.textContent = value;
+        tr.appendChild(td);
+      });
+      if (row.warnings.length > 0) {
+        tr.className = 'report-warning';
       }
+      pdfReportImages.appendChild(tr);
+    });
+  }
 
-      console.log('Loading original PDF for modification...');
+  pdfReportBtn?.addEventListener('click', () => {
+    if (!state.pdfReport) {
+      return;
+    }
+    renderPdfReport(state.pdfReport);
+    pdfReportModal.style.display = 'flex';
+  });
 
-      // Debug: Check state.pdfOriginalBytes status
-      console.log('state.pdfOriginalBytes type:', typeof state.pdfOriginalBytes);
-      console.log('state.pdfOriginalBytes is null?', state.pdfOriginalBytes === null);
-      console.log('state.pdfOriginalBytes is undefined?', state.pdfOriginalBytes === undefined);
-      if (state.pdfOriginalBytes) {
-        console.log('state.pdfOriginalBytes length:', state.pdfOriginalBytes.length);
-        console.log('state.pdfOriginalBytes constructor:', state.pdfOriginalBytes.constructor.name);
-      }
+  closeReportBtn?.addEventListener('click', () => {
+    pdfReportModal.style.display = 'none';
+  });
 
-      // Verify we have the original PDF bytes
-      if (!state.pdfOriginalBytes || state.pdfOriginalBytes.length === 0) {
-        throw new Error('Original PDF data not available');
-      }
-      console.log(`Original PDF size: ${state.pdfOriginalBytes.length} bytes`);
+  // Report files are named after the PDF
+  function getReportFilename(extension) {
+    return `${state.pdfReport.document.fileName.replace(/\.pdf$/i, '')}-report.${extension}`;
+  }
 
-      // Load the PDF - we'll modify it in place at the stream level
-      const pdfDoc = await window.PDFLib.PDFDocument.load(state.pdfOriginalBytes);
+  downloadReportJsonBtn?.addEventListener('click', () => {
+    const json = reportToJson(state.pdfReport);
+    downloadBlob(new Blob([json], { type: 'application/json' }), getReportFilename('json'));
+  });
 
-      console.log('Matching images by page and dimensions...');
+  downloadReportCsvBtn?.addEventListener('click', () => {
+    const csv = reportToCsv(state.pdfReport);
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), getReportFilename('csv'));
+  });
 
-      // Group images by page for matching
-      const imagesByPage = new Map();
-      for (const img of state.pdfImages) {
-        if (!imagesByPage.has(img.pageNum)) {
-          imagesByPage.set(img.pageNum, []);
-        }
-        imagesByPage.get(img.pageNum).push(img);
-        console.log(
-          `Indexed optimized image: page ${img.pageNum}, ${img.imageName} (${img.width}×${img.height})`
-        );
+  // Open the report as a page of its own and print it
+  printReportBtn?.addEventListener('click', () => {
+    const html = reportToHtml(state.pdfReport);
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    const reportWindow = window.open(url);
+    if (!reportWindow) {
+      URL.revokeObjectURL(url);
+      showError('Allow pop-ups to print the report.');
+      return;
+    }
+    reportWindow.addEventListener('load', () => {
+      URL.revokeObjectURL(url);
+      reportWindow.print();
+    });
+  });
+
+  // Size breakdown of the original PDF
+  inspectPdfBtn?.addEventListener('click', async () => {
+    if (!state.pdfOriginalBytes) {
+      showError('Load a PDF first.');
+      return;
+    }
+
+    showLoading(true);
+    try {
+      const report = await inspectPdf(state.pdfOriginalBytes, state.pdfPassword);
+      renderInspectorReport(report);
+      pdfInspectorModal.style.display = 'flex';
+    } catch (err) {
+      console.error('Error inspecting PDF:', err);
+      showError('Failed to analyse PDF: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  });
+
+  closeInspectorBtn?.addEventListener('click', () => {
+    pdfInspectorModal.style.display = 'none';
+  });
+
+  function renderInspectorReport(report) {
+    const percentOf = (size) => Math.round((size / report.totalSize) * 100);
+
+    pdfInspectorSummary.textContent = `${report.pageCount} pages • ${formatBytes(report.totalSize)}`;
+
+    pdfInspectorCategories.innerHTML = Object.entries(SIZE_CATEGORIES)
+      .map(([key, label]) => {
+        const { size } = report.categories[key];
+        return `
+          <div class="size-breakdown-row">
+            <span>${label}</span>
+            <div class="size-breakdown-bar"><span style="width: ${percentOf(size)}%"></span></div>
+            <span>${formatBytes(size)}</span>
+            <span>${percentOf(size)}%</span>
+          </div>`;
+      })
+      .join('');
+
+    const { total, embedded, subset } = report.fonts;
+    pdfInspectorFonts.textContent = `Fonts: ${total} (${embedded} embedded, ${subset} subset)`;
+
+    // Descriptions come from names in the PDF, so set them as text rather than HTML
+    pdfInspectorObjects.innerHTML = '';
+    report.largestObjects.forEach((obj) => {
+      const row = document.createElement('tr');
+      [
+        obj.ref,
+        SIZE_CATEGORIES[obj.category],
+        obj.description,
+        obj.pageNum ?? '–',
+        formatBytes(obj.size),
+      ].forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      pdfInspectorObjects.appendChild(row);
+    });
+  }
+
+  // Page organizer: reorder, rotate and delete pages, applied when the PDF is saved
+  organizePagesBtn?.addEventListener('click', async () => {
+    if (!state.pdfOriginalBytes) {
+      showError('Load a PDF first.');
+      return;
+    }
+
+    showLoading(true);
+    try {
+      if (!state.pdfThumbnails) {
+        // Full Pages mode has rendered every page already
+        state.pdfThumbnails =
+          state.pdfExtractionMode === PDF.EXTRACTION_MODE_FULLPAGES
+            ? state.pdfImages
+            : await renderPdfThumbnails(state.pdfOriginalBytes.slice().buffer, state.pdfPassword);
       }
+      if (!state.pdfPageLayout) {
+        state.pdfPageLayout = createPageLayout(state.pdfThumbnails.length);
+      }
+      renderPageOrganizer();
+      pdfOrganizerModal.style.display = 'flex';
+    } catch (err) {
+      console.error('Error rendering page thumbnails:', err);
+      showError('Failed to render pages: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  });
+
+  closeOrganizerBtn?.addEventListener('click', () => {
+    pdfOrganizerModal.style.display = 'none';
+  });
+
+  resetPageLayoutBtn?.addEventListener('click', () => {
+    state.pdfPageLayout = createPageLayout(state.pdfThumbnails.length);
+    renderPageOrganizer();
+  });
+
+  extractPagesBtn?.addEventListener('click', async () => {
+    const layout = state.pdfPageLayout;
+    const { valid, pages, error } = parsePageRanges(pdfExtractRange.value, layout.length);
+    if (!valid) {
+      showError(error);
+      return;
+    }
+
+    showLoading(true);
+    try {
+      // Extracted pages go through the normal save path, so they get the optimized images too
+      const blob = await buildPdfBlob(
+        state.pdfImages,
+        pages.map((position) => layout[position - 1])
+      );
+      const originalName = state.currentPdfFile.name.replace('.pdf', '');
+      const range = pdfExtractRange.value.replace(/\s+/g, '');
+      downloadBlob(blob, sanitizeFilename(`${originalName}-pages-${range}.pdf`));
+      showSuccess(`Extracted ${pages.length} page(s) to a new PDF (${formatBytes(blob.size)})`);
+    } catch (err) {
+      console.error('Error extracting pages:', err);
+      showError('Failed to extract pages: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  });
 
-      // Find all XObject images and match them with our optimized images
-      const replacements = [];
-      const matchedImages = new Set(); // Track which images we've already matched
+  // Page layout to save, or null when the organizer hasn't changed anything
+  function getSavePageLayout() {
+    const layout = state.pdfPageLayout;
+    return layout && !isDefaultPageLayout(layout, state.pdfThumbnails.length) ? layout : null;
+  }
 
-      for (let pageIdx = 0; pageIdx < pdfDoc.getPageCount(); pageIdx++) {
-        const pageNum = pageIdx + 1;
-        const page = pdfDoc.getPages()[pageIdx];
-        const pageDict = page.node;
-        const resources = pageDict.Resources();
+  function updatePageLayout(layout) {
+    state.pdfPageLayout = layout;
+    renderPageOrganizer();
+  }
 
-        if (!resources) continue;
+  function renderPageOrganizer() {
+    const layout = state.pdfPageLayout;
+    pdfOrganizerSummary.textContent = `${layout.length} of ${state.pdfThumbnails.length} pages`;
+    pdfPageGrid.innerHTML = '';
 
-        let xObjects = resources.get(window.PDFLib.PDFName.of('XObject'));
+    layout.forEach((entry, position) => {
+      const card = document.createElement('div');
+      card.className = 'pdf-page-card';
+      card.draggable = true;
 
-        // If it's a reference or doesn't have entries(), try to look it up
-        if (xObjects && typeof xObjects.entries !== 'function') {
-          console.log(
-            `XObject is not a dict (type: ${xObjects.constructor.name}), attempting lookup...`
-          );
-          const lookedUp = pdfDoc.context.lookup(xObjects);
-          if (lookedUp && lookedUp !== xObjects) {
-            console.log(`  Looked up to type: ${lookedUp.constructor.name}`);
-            xObjects = lookedUp;
+      const thumbnail = document.createElement('div');
+      thumbnail.className = 'pdf-page-thumbnail';
+      const imgElement = document.createElement('img');
+      imgElement.src = state.pdfThumbnails[entry.pageNum - 1].dataURL;
+      imgElement.alt = `Page ${entry.pageNum}`;
+      imgElement.style.transform = `rotate(${entry.rotation}deg)`;
+      thumbnail.appendChild(imgElement);
+
+      const label = document.createElement('span');
+      label.className = 'image-number';
+      label.textContent =
+        entry.pageNum === position + 1
+          ? `Page ${entry.pageNum}`
+          : `${position + 1} (was page ${entry.pageNum})`;
+
+      const actions = document.createElement('div');
+      actions.className = 'pdf-page-actions';
+      actions.append(
+        createPageButton('⟳', 'Rotate 90° clockwise', () =>
+          updatePageLayout(
+            layout.map((item, i) =>
+              i === position ? { ...item, rotation: (item.rotation + 90) % 360 } : item
+            )
+          )
+        ),
+        createPageButton('✕', 'Delete page', () => {
+          if (layout.length === 1) {
+            notificationService.warning('A PDF needs at least one page.');
+            return;
           }
+          updatePageLayout(layout.filter((_, i) => i !== position));
+        })
+      );
+
+      card.append(thumbnail, label, actions);
+
+      // Drag and drop reordering
+      card.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(position));
+        card.classList.add('dragging');
+      });
+      card.addEventListener('dragend', () => card.classList.remove('dragging'));
+      card.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        card.classList.add('drop-target');
+      });
+      card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+      card.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const from = parseInt(e.dataTransfer.getData('text/plain'), 10);
+        if (isNaN(from) || from === position) {
+          card.classList.remove('drop-target');
+          return;
         }
+        const reordered = [...layout];
+        reordered.splice(position, 0, ...reordered.splice(from, 1));
+        updatePageLayout(reordered);
+      });
 
-        if (!xObjects) continue;
+      pdfPageGrid.appendChild(card);
+    });
+  }
 
-        const methods = Object.getOwnPropertyNames(Object.getPrototypeOf(xObjects));
-        console.log(
-          `XObjects final type: ${xObjects.constructor.name}, methods: ${methods.join(', ')}`
-        );
+  // Split the optimized PDF into several files
+  splitPdfBtn?.addEventListener('click', () => {
+    if (!state.pdfOriginalBytes) {
+      showError('Load a PDF first.');
+      return;
+    }
+    pdfSplitModal.style.display = 'flex';
+  });
 
-        // PDFDict.entries() returns array of [PDFName, PDFObject][]
-        if (typeof xObjects.entries !== 'function') {
-          console.error(`Still cannot iterate after lookup. Type: ${xObjects.constructor.name}`);
-          continue;
-        }
+  cancelSplitBtn?.addEventListener('click', () => {
+    pdfSplitModal.style.display = 'none';
+  });
 
-        // Get entries array from PDFDict
-        const xObjectEntries = xObjects.entries();
-        console.log(`Found ${xObjectEntries.length} XObjects on page ${pageNum}`);
-
-        // Check each XObject to see if it's an image
-        for (const [xObjKey, xObjRef] of xObjectEntries) {
-          const xObjKeyName = xObjKey.decodeText ? xObjKey.decodeText() : xObjKey.encodedName;
-          const xObj = pdfDoc.context.lookup(xObjRef);
-
-          // Check if it's an image XObject
-          if (xObj && xObj.dict) {
-            const type = xObj.dict.get(window.PDFLib.PDFName.of('Type'));
-            const subtype = xObj.dict.get(window.PDFLib.PDFName.of('Subtype'));
-
-            const isImage =
-              subtype?.encodedName === '/Image' || subtype?.decodeText?.() === 'Image';
-
-            if (isImage) {
-              const widthObj = xObj.dict.get(window.PDFLib.PDFName.of('Width'));
-              const heightObj = xObj.dict.get(window.PDFLib.PDFName.of('Height'));
-
-              if (widthObj && heightObj) {
-                // Convert PDFLib objects to plain numbers
-                const width =
-                  typeof widthObj === 'number'
-                    ? widthObj
-                    : typeof widthObj.asNumber === 'function'
-                      ? widthObj.asNumber()
-                      : Number(widthObj);
-                const height =
-                  typeof heightObj === 'number'
-                    ? heightObj
-                    : typeof heightObj.asNumber === 'function'
-                      ? heightObj.asNumber()
-                      : Number(heightObj);
-
-                // Find the first unmatched image on this page with matching dimensions
-                const pageImages = imagesByPage.get(pageNum) || [];
-                console.log(
-                  `Checking page ${pageNum}: found ${pageImages.length} candidate images for ${width}×${height}`
-                );
-                let optimizedImg = null;
-
-                for (const img of pageImages) {
-                  console.log(
-                    `  Comparing with ${img.imageName}: ${img.width}×${img.height}, types: ${typeof img.width}/${typeof width}`
-                  );
-                  const imgKey = `${img.pageNum}-${img.index}`;
-                  if (!matchedImages.has(imgKey) && img.width === width && img.height === height) {
-                    optimizedImg = img;
-                    matchedImages.add(imgKey);
-                    console.log(`  ✓ MATCHED!`);
-                    break;
-                  }
-                }
-
-                if (optimizedImg) {
-                  replacements.push({
-                    pageNum,
-                    xObjKeyName,
-                    xObjRef,
-                    optimizedImg,
-                    width,
-                    height,
-                  });
-                  console.log(
-                    `✓ Matched XObject "${xObjKeyName}" on page ${pageNum} (${width}×${height}) with ${optimizedImg.imageName}`
-                  );
-                } else {
-                  console.warn(
-                    `⚠ No match found for "${xObjKeyName}" on page ${pageNum} (${width}×${height})`
-                  );
-                }
-              }
-            }
-          }
+  confirmSplitBtn?.addEventListener('click', async () => {
+    const mode = document.querySelector('input[name="splitMode"]:checked')?.value || 'ranges';
+    const pageCount = state.pdfPageLayout?.length ?? state.pdfPageCount;
+
+    // Pages of each part; not needed when splitting by size
+    let parts = null;
+    let maxBytes = 0;
+    if (mode === 'ranges') {
+      parts = [];
+      for (const range of pdfSplitRanges.value.split(',')) {
+        const { valid, pages, error } = parsePageRanges(range, pageCount);
+        if (!valid) {
+          showError(error);
+          return;
         }
+        parts.push(pages);
+      }
+    } else if (mode === 'every') {
+      const pagesPerPart = parseInt(pdfSplitEvery.value, 10);
+      if (!(pagesPerPart > 0)) {
+        showError('Enter the number of pages per part.');
+        return;
+      }
+      parts = Array.from({ length: Math.ceil(pageCount / pagesPerPart) }, (_, part) =>
+        Array.from(
+          { length: Math.min(pagesPerPart, pageCount - part * pagesPerPart) },
+          (_, i) => part * pagesPerPart + i + 1
+        )
+      );
+    } else {
+      const maxMB = parseFloat(pdfSplitMaxSize.value);
+      if (!(maxMB > 0)) {
+        showError('Enter the maximum part size in MB.');
+        return;
       }
+      maxBytes = Math.round(maxMB * 1024 * 1024);
+    }
 
-      console.log(`Found ${replacements.length} images to replace`);
+    pdfSplitModal.style.display = 'none';
+    showLoading(true);
+    try {
+      // Split the optimized (and organized) PDF; protection is added to each part afterwards
+      const blob = await buildPdfBlob(state.pdfImages, getSavePageLayout(), {
+        keepEncryption: false,
+      });
+      const pdfBytes = new Uint8Array(await blob.arrayBuffer());
+      const protect = shouldKeepEncryption()
+        ? (bytes) => copyPdfProtection(bytes, state.pdfOriginalBytes, state.pdfPassword)
+        : (bytes) => bytes;
 
-      // Now replace the matched images WITHOUT creating new objects
-      console.log('Replacing image streams directly...');
+      const results = parts
+        ? await splitPdf(pdfBytes, parts, protect)
+        : await splitPdfBySize(pdfBytes, maxBytes, protect);
 
-      for (const replacement of replacements) {
-        try {
-          const { pageNum, xObjKeyName, xObjRef, optimizedImg, width, height } = replacement;
+      const originalName = state.currentPdfFile.name.replace('.pdf', '');
+      results.forEach(({ bytes }, i) => {
+        const partBlob = new Blob([bytes], { type: 'application/pdf' });
+        downloadBlob(partBlob, sanitizeFilename(`${originalName}-part${i + 1}.pdf`));
+      });
 
-          // Get the optimized image bytes (or original if not optimized)
-          const dataURLToUse = optimizedImg.optimizedDataURL || optimizedImg.dataURL;
-          console.log(
-            `Using ${optimizedImg.optimizedDataURL ? 'OPTIMIZED' : 'ORIGINAL'} data for "${xObjKeyName}" on page ${pageNum}`
-          );
+      showSuccess(`PDF split into ${results.length} part(s)`);
+      const oversized = results.filter((part) => part.oversized);
+      if (oversized.length > 0) {
+        notificationService.warning(
+          `Page(s) ${oversized.map((part) => part.pages[0]).join(', ')} are over the size limit on their own and were saved as separate parts.`
+        );
+      }
+    } catch (err) {
+      console.error('Error splitting PDF:', err);
+      showError('Failed to split PDF: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  });
 
-          const response = await fetch(dataURLToUse);
-          const imageBytes = new Uint8Array(await response.arrayBuffer());
+  // Export every extracted image in a ZIP with a manifest
+  exportImagesBtn?.addEventListener('click', () => {
+    if (state.pdfImages.length === 0) {
+      showError('No images to export.');
+      return;
+    }
+    pdfExportModal.style.display = 'flex';
+  });
 
-          // Get the old image object
-          const oldImageObj = pdfDoc.context.lookup(xObjRef);
+  cancelExportImagesBtn?.addEventListener('click', () => {
+    pdfExportModal.style.display = 'none';
+  });
 
-          if (!oldImageObj) {
-            console.warn(`Could not find old image object for "${xObjKeyName}"`);
-            continue;
-          }
+  confirmExportImagesBtn?.addEventListener('click', async () => {
+    const version =
+      document.querySelector('input[name="exportImageVersion"]:checked')?.value || 'original';
+    pdfExportModal.style.display = 'none';
+    showLoading(true);
 
-          // Determine if JPEG or PNG based on the data URL being used
-          const isPng = dataURLToUse.includes('image/png');
-          const isJpeg = dataURLToUse.includes('image/jpeg');
-
-          // For PNG images, use pdf-lib's embedPng to properly handle transparency
-          if (isPng) {
-            try {
-              // Check if this PNG has transparency
-              const hasAlpha = await hasTransparency(dataURLToUse);
-              console.log(`PNG "${xObjKeyName}" has transparency: ${hasAlpha}`);
-
-              // Use pdf-lib's built-in PNG embedding which handles SMask automatically
-              const embeddedImage = await pdfDoc.embedPng(imageBytes);
-
-              // Get the embedded image's reference
-              const newImageRef = embeddedImage.ref;
-
-              // Replace the old reference with the new one in the page's XObject dictionary
-              const page = pdfDoc.getPages()[pageNum - 1];
-              const pageDict = page.node;
-              const resources = pageDict.Resources();
-              let xObjects = resources.get(window.PDFLib.PDFName.of('XObject'));
-
-              // If it doesn't have set(), try to look it up
-              if (xObjects && typeof xObjects.set !== 'function') {
-                const lookedUp = pdfDoc.context.lookup(xObjects);
-                if (lookedUp && lookedUp !== xObjects) {
-                  xObjects = lookedUp;
-                }
-              }
-
-              // Update the XObject reference
-              xObjects.set(window.PDFLib.PDFName.of(xObjKeyName), newImageRef);
-
-              console.log(
-                `✓ Replaced PNG "${xObjKeyName}" on page ${pageNum} with transparency support (${formatBytes(imageBytes.length)})`
-              );
-              continue; // Skip the manual stream replacement below
-            } catch (pngErr) {
-              console.warn(
-                `Failed to embed PNG with embedPng, falling back to manual method:`,
-                pngErr
-              );
-              // Fall through to manual method below
-            }
-          }
+    try {
+      const zipBlob = await buildImagesZip(state.pdfImages, {
+        version,
+        // Rendered pages have no stored image to export
+        pdfBytes:
+          state.pdfExtractionMode === PDF.EXTRACTION_MODE_FULLPAGES ? null : state.pdfOriginalBytes,
+        password: state.pdfPassword,
+        sourceName: state.currentPdfFile.name,
+      });
 
-          // For JPEG or fallback for PNG, use manual stream replacement
-          const { PDFName, PDFRawStream } = window.PDFLib;
-
-          // Create new dictionary based on image type
-          const dict = pdfDoc.context.obj({
-            Type: 'XObject',
-            Subtype: 'Image',
-            Width: width,
-            Height: height,
-            BitsPerComponent: 8,
-            ColorSpace: 'DeviceRGB',
-            Filter: isJpeg ? 'DCTDecode' : 'FlateDecode',
-          });
+      const originalName = state.currentPdfFile.name.replace('.pdf', '');
+      downloadBlob(zipBlob, sanitizeFilename(`${originalName}-images.zip`));
+      showSuccess(`${state.pdfImages.length} image(s) exported (${formatBytes(zipBlob.size)})`);
+    } catch (err) {
+      console.error('Error exporting images:', err);
+      showError('Failed to export images: ' + err.message);
+    } finally {
+      showLoading(false);
+    }
+  });
 
-          // Create a new stream with the optimized image data
-          const stream = PDFRawStream.of(dict, imageBytes);
+  // Render pages as image files and download them in a ZIP
+  exportPageImagesBtn?.addEventListener('click', () => {
+    if (!state.pdfOriginalBytes) {
+      showError('Load a PDF first.');
+      return;
+    }
+    pdfPageImagesModal.style.display = 'flex';
+  });
 
-          // Replace the old object's content with the new stream
-          oldImageObj.dict = stream.dict;
-          oldImageObj.contents = stream.contents;
+  cancelPageImagesBtn?.addEventListener('click', () => {
+    pdfPageImagesModal.style.display = 'none';
+  });
 
-          console.log(
-            `✓ Replaced "${xObjKeyName}" on page ${pageNum} (${formatBytes(imageBytes.length)})`
-          );
-        } catch (err) {
-          console.warn(`Could not replace image "${replacement.xObjKeyName}":`, err);
-        }
+  // Quality only applies to lossy formats
+  document.querySelectorAll('input[name="pageImageFormat"]').forEach((radio) => {
+    radio.addEventListener('change', () => {
+      pageImageQualityGroup.style.display = radio.value === 'image/png' ? 'none' : 'block';
+    });
+  });
+
+  pageImageQuality?.addEventListener('input', () => {
+    pageImageQualityValue.textContent = pageImageQuality.value;
+  });
+
+  confirmPageImagesBtn?.addEventListener('click', async () => {
+    const dpi = parseInt(pageImageDpi.value, 10);
+    if (!(dpi >= PDF.PAGE_IMAGE_MIN_DPI && dpi <= PDF.PAGE_IMAGE_MAX_DPI)) {
+      showError(
+        `Resolution must be between ${PDF.PAGE_IMAGE_MIN_DPI} and ${PDF.PAGE_IMAGE_MAX_DPI} DPI.`
+      );
+      return;
+    }
+
+    let pages = null;
+    if (pageImageRange.value.trim()) {
+      const range = parsePageRanges(pageImageRange.value, state.pdfPageCount);
+      if (!range.valid) {
+        showError(range.error);
+        return;
       }
+      pages = range.pages;
+    }
+
+    const format =
+      document.querySelector('input[name="pageImageFormat"]:checked')?.value || 'image/png';
+    pdfPageImagesModal.style.display = 'none';
+    showLoading(true);
 
-      // Save the new PDF (should only contain optimized images)
-      console.log('Saving optimized PDF...');
-      const pdfBytes = await pdfDoc.save({
-        useObjectStreams: false, // Disable object streams for better compatibility
+    try {
+      // pdf.js takes ownership of the buffer it is given, so render from a copy
+      const renderedPages = await renderPdfPagesAsImages(state.pdfOriginalBytes.slice().buffer, {
+        password: state.pdfPassword,
+        dpi,
+        format,
+        quality: parseFloat(pageImageQuality.value),
+        pages,
       });
-      const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-      const url = URL.createObjectURL(blob);
+      const zipBlob = await buildPagesZip(renderedPages, state.pdfPageCount);
 
-      const a = document.createElement('a');
-      a.href = url;
       const originalName = state.currentPdfFile.name.replace('.pdf', '');
-      a.download = `${originalName}-optimized.pdf`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      URL.revokeObjectURL(url);
-
-      // Calculate actual saved size
-      const savedSize = pdfBytes.length;
-      const originalSize = state.pdfOriginalBytes.length;
-      const reduction = Math.round((1 - savedSize / originalSize) * 100);
-
+      downloadBlob(zipBlob, sanitizeFilename(`${originalName}-pages.zip`));
       showSuccess(
-        `PDF saved! ${formatBytes(originalSize)} → ${formatBytes(savedSize)} (${reduction}% reduction)`
+        `${renderedPages.length} page(s) exported at ${dpi} DPI (${formatBytes(zipBlob.size)})`
       );
-      console.log('PDF save complete!');
     } catch (err) {
-      console.error('Error saving PDF:', err);
-      showError('Failed to save PDF: ' + err.message);
+      console.error('Error exporting pages as images:', err);
+      showError('Failed to export pages: ' + err.message);
     } finally {
       showLoading(false);
     }
   });
 
+  function createPageButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-secondary btn-small';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
   // Creates a new canvas from a DataURL at full resolution
   async function createFullCanvasFromImage(dataUrl) {
     const sourceImg = await createImageBitmapFromURL(dataUrl);
@@ -2648,11 +4466,12 @@ document.addEventListener('DOMContentLoaded', () => {
         saveBtn.click();
       }
     }
-    // Ctrl+Z or Cmd+Z: Undo
+    // Ctrl+Z or Cmd+Z: Undo (the gallery's own undo while the PDF gallery is shown)
     if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
       e.preventDefault();
-      if (!undoBtn.disabled) {
-        undoBtn.click();
+      const undoTarget = pdfGallery.style.display === 'block' ? galleryUndoBtn : undoBtn;
+      if (undoTarget && !undoTarget.disabled) {
+        undoTarget.click();
       }
     }
   });
@@ -2662,6 +4481,9 @@ document.addEventListener('DOMContentLoaded', () => {
   // --------------------------------------------------------------------------------------------
   clearAllBtn.addEventListener('click', () => {
     clearAll();
+    galleryHistory.clear();
+    updateGalleryUndoButton();
+    state.pdfReport = null;
   });
 
   function clearAll() {
@@ -2699,11 +4521,19 @@ document.addEventListener('DOMContentLoaded', () => {
     pdfInfoSection.style.display = 'none';
     pdfBulkSection.style.display = 'none';
     savePdfBtn.style.display = 'none';
+    pdfReportBtn.style.display = 'none';
     backToGalleryBtn.style.display = 'none';
     // Clean up PDF images with memory utility
     cleanupPdfImages(state.pdfImages);
     state.currentPdfFile = null;
+    state.pdfSourceFiles = [];
+    pdfSourceFilesInfo.style.display = 'none';
     state.pdfDocument = null;
+    state.pdfPassword = '';
+    state.isPdfEncrypted = false;
+    state.pdfPageLayout = null;
+    state.pdfThumbnails = null;
+    pdfProtectionOptions.style.display = 'none';
     state.currentEditingImageIndex = -1;
 
     // Clean up history with memory manager
@@ -2737,6 +4567,7 @@ document.addEventListener('DOMContentLoaded', () => {
     saveBtn.disabled = !hasImage;
     saveBtn.style.display = hasImage ? 'inline-flex' : 'none';
     savePdfBtn.style.display = 'none'; // Hide PDF save button in image mode
+    pdfReportBtn.style.display = 'none';
     // Show compare button for image editing
     if (compareBtn) {
       compareBtn.style.display = hasImage ? 'inline-flex' : 'none';
@@ -2774,6 +4605,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // INIT
   // --------------------------------------------------------------------------------------------
   loadThemeSettings();
+  initPdfPresets();
   checkDisclaimer();
   checkPendingImage();
   resetUIState();
@@ -71,6 +71,14 @@ export class HistoryManager {
     return this.stack.pop();
   }
 
+  /**
+   * Gets the most recent item without removing it
+   * @returns {any} - The most recent item, or undefined if empty
+   */
+  peek() {
+    return this.stack[this.stack.length - 1];
+  }
+
   /**
    * Gets the current stack size
    * @returns {number} - Stack size
@@ -139,6 +147,9 @@ export function cleanupPdfImages(pdfImages) {
     if (img.optimizedDataURL) {
       revokeObjectURL(img.optimizedDataURL);
     }
+    if (img.optimizedColorDataURL) {
+      revokeObjectURL(img.optimizedColorDataURL);
+    }
     if (img.tempPreviewDataURL) {
       revokeObjectURL(img.tempPreviewDataURL);
     }
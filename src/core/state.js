@@ -37,12 +37,20 @@ export class EditorState {
       // PDF state
       pdf: {
         file: null,
+        sourceFiles: [],
         document: null,
         originalBytes: null,
+        password: '',
+        isEncrypted: false,
+        pageCount: 0,
+        pageLayout: null,
+        thumbnails: null,
+        report: null,
         images: [],
         currentEditingIndex: null,
         currentPreviewIndex: 0,
         mode: false,
+        extractionMode: 'images',
         previewBgMode: 'dark',
         isPreviewComparing: false,
       },
@@ -173,12 +181,20 @@ export class EditorState {
   resetPdfState() {
     this.update({
       'pdf.file': null,
+      'pdf.sourceFiles': [],
       'pdf.document': null,
       'pdf.originalBytes': null,
+      'pdf.password': '',
+      'pdf.isEncrypted': false,
+      'pdf.pageCount': 0,
+      'pdf.pageLayout': null,
+      'pdf.thumbnails': null,
+      'pdf.report': null,
       'pdf.images': [],
       'pdf.currentEditingIndex': null,
       'pdf.currentPreviewIndex': 0,
       'pdf.mode': false,
+      'pdf.extractionMode': 'images',
     });
   }
 
@@ -0,0 +1,172 @@
+/**
+ * ZIP Writer
+ * Builds ZIP archives without compression ("stored"): the files put in them are images
+ * that are already compressed, so deflating them again would gain almost nothing
+ */
+
+// Record signatures and fixed header sizes (PKWARE APPNOTE.TXT)
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP_VERSION = 20; // 2.0, the version that introduced stored and deflated entries
+const UTF8_FLAG = 0x0800;
+
+// Field offsets of the records (APPNOTE 4.3.7, 4.3.12 and 4.3.16)
+const LOCAL_HEADER = {
+  signature: 0,
+  versionNeeded: 4,
+  flags: 6,
+  method: 8,
+  time: 10,
+  date: 12,
+  crc: 14,
+  compressedSize: 18,
+  size: 22,
+  nameLength: 26,
+  extraLength: 28,
+};
+const CENTRAL_HEADER = {
+  signature: 0,
+  versionMadeBy: 4,
+  versionNeeded: 6,
+  flags: 8,
+  method: 10,
+  time: 12,
+  date: 14,
+  crc: 16,
+  compressedSize: 20,
+  size: 24,
+  nameLength: 28,
+  localHeaderOffset: 42,
+};
+const END_OF_CENTRAL_DIRECTORY = {
+  signature: 0,
+  diskEntries: 8,
+  totalEntries: 10,
+  directorySize: 12,
+  directoryOffset: 16,
+};
+
+// CRC-32 as used by ZIP: reflected polynomial, all-ones initial value and final XOR
+const CRC32_POLYNOMIAL = 0xedb88320;
+const CRC32_MASK = 0xffffffff;
+const BYTE_VALUES = 256;
+const BITS_PER_BYTE = 8;
+const BYTE_MASK = 0xff;
+
+// MS-DOS time and date: bit positions of the fields, and the first year that can be stored
+const DOS_HOUR_SHIFT = 11;
+const DOS_MINUTE_SHIFT = 5;
+const DOS_YEAR_SHIFT = 9;
+const DOS_MONTH_SHIFT = 5;
+const DOS_EPOCH_YEAR = 1980;
+
+const encoder = new TextEncoder();
+let crcTable = null;
+
+/**
+ * Create a ZIP archive
+ * @param {Array} files - [{ name: path inside the archive, data: Uint8Array or string }]
+ * @param {Date} date - Modification date stored for every file
+ * @returns {Blob} - The ZIP file
+ */
+export function createZip(files, date = new Date()) {
+  const { time, day } = toDosDateTime(date);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+
+    // Local file header (APPNOTE 4.3.7)
+    const local = new DataView(new ArrayBuffer(LOCAL_HEADER_SIZE));
+    local.setUint32(LOCAL_HEADER.signature, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(LOCAL_HEADER.versionNeeded, ZIP_VERSION, true);
+    local.setUint16(LOCAL_HEADER.flags, UTF8_FLAG, true);
+    local.setUint16(LOCAL_HEADER.method, 0, true); // Stored
+    local.setUint16(LOCAL_HEADER.time, time, true);
+    local.setUint16(LOCAL_HEADER.date, day, true);
+    local.setUint32(LOCAL_HEADER.crc, crc, true);
+    local.setUint32(LOCAL_HEADER.compressedSize, data.length, true);
+    local.setUint32(LOCAL_HEADER.size, data.length, true);
+    local.setUint16(LOCAL_HEADER.nameLength, name.length, true);
+    local.setUint16(LOCAL_HEADER.extraLength, 0, true);
+    localParts.push(local, name, data);
+
+    // Central directory header (APPNOTE 4.3.12)
+    const central = new DataView(new ArrayBuffer(CENTRAL_HEADER_SIZE));
+    central.setUint32(CENTRAL_HEADER.signature, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(CENTRAL_HEADER.versionMadeBy, ZIP_VERSION, true);
+    central.setUint16(CENTRAL_HEADER.versionNeeded, ZIP_VERSION, true);
+    central.setUint16(CENTRAL_HEADER.flags, UTF8_FLAG, true);
+    central.setUint16(CENTRAL_HEADER.method, 0, true);
+    central.setUint16(CENTRAL_HEADER.time, time, true);
+    central.setUint16(CENTRAL_HEADER.date, day, true);
+    central.setUint32(CENTRAL_HEADER.crc, crc, true);
+    central.setUint32(CENTRAL_HEADER.compressedSize, data.length, true);
+    central.setUint32(CENTRAL_HEADER.size, data.length, true);
+    central.setUint16(CENTRAL_HEADER.nameLength, name.length, true);
+    central.setUint32(CENTRAL_HEADER.localHeaderOffset, offset, true);
+    centralParts.push(central, name);
+
+    offset += LOCAL_HEADER_SIZE + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+  // End of central directory record (APPNOTE 4.3.16)
+  const end = new DataView(new ArrayBuffer(END_OF_CENTRAL_DIRECTORY_SIZE));
+  end.setUint32(END_OF_CENTRAL_DIRECTORY.signature, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(END_OF_CENTRAL_DIRECTORY.diskEntries, files.length, true);
+  end.setUint16(END_OF_CENTRAL_DIRECTORY.totalEntries, files.length, true);
+  end.setUint32(END_OF_CENTRAL_DIRECTORY.directorySize, centralSize, true);
+  end.setUint32(END_OF_CENTRAL_DIRECTORY.directoryOffset, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+}
+
+/**
+ * CRC-32 checksum of the data
+ * @private
+ */
+function crc32(data) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(BYTE_VALUES);
+    for (let n = 0; n < BYTE_VALUES; n++) {
+      let c = n;
+      for (let k = 0; k < BITS_PER_BYTE; k++) {
+        c = c & 1 ? CRC32_POLYNOMIAL ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = CRC32_MASK;
+  for (let i = 0; i < data.length; i++) {
+    crc = crcTable[(crc ^ data[i]) & BYTE_MASK] ^ (crc >>> BITS_PER_BYTE);
+  }
+  return (crc ^ CRC32_MASK) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields of a local date (2-second resolution, years from 1980)
+ * @private
+ */
+function toDosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << DOS_HOUR_SHIFT) |
+      (date.getMinutes() << DOS_MINUTE_SHIFT) |
+      Math.floor(date.getSeconds() / 2),
+    day:
+      ((Math.max(date.getFullYear(), DOS_EPOCH_YEAR) - DOS_EPOCH_YEAR) << DOS_YEAR_SHIFT) |
+      ((date.getMonth() + 1) << DOS_MONTH_SHIFT) |
+      date.getDate(),
+  };
+}
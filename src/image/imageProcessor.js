@@ -3,7 +3,15 @@
  * Handles canvas operations: rotation, flipping, resizing, cropping
  */
 
-import { CANVAS } from '../../config.js';
+import { CANVAS, PDF } from '../../config.js';
+import {
+  encodeCcittG4,
+  encodeFlateBilevel,
+  encodeGrayJpeg,
+  drawBilevel,
+  toBilevel,
+  toGrayscale,
+} from './monochrome.js';
 
 /**
  * Create a canvas from an image data URL
@@ -166,6 +174,125 @@ export async function hasTransparency(source) {
   return false;
 }
 
+/**
+ * Encode a transparent image the way PDFs store transparent photos: JPEG color data, with
+ * the alpha channel kept separately as a soft mask
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @param {number} quality - JPEG quality (0-1)
+ * @param {Object} options - { grayscale: encode the color channels as a grayscale JPEG }
+ * @returns {Promise<Object>} - { colorDataURL: JPEG of the color channels, dataURL: PNG of the
+ *   JPEG colors with the alpha channel (how the image will look), size: bytes of the JPEG plus
+ *   the Flate-compressed alpha channel }
+ */
+export async function encodeWithSoftMask(canvas, quality, { grayscale = false } = {}) {
+  const { width, height } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+  const alpha = new Uint8Array(width * height);
+
+  const colorCanvas = document.createElement('canvas');
+  colorCanvas.width = width;
+  colorCanvas.height = height;
+  const colorCtx = colorCanvas.getContext('2d');
+  const colorData = colorCtx.createImageData(width, height);
+  colorData.data.set(data);
+  for (let i = 0; i < alpha.length; i++) {
+    alpha[i] = data[i * 4 + 3];
+    colorData.data[i * 4 + 3] = CANVAS.FULL_TRANSPARENCY_VALUE;
+  }
+  colorCtx.putImageData(colorData, 0, 0);
+  const colorDataURL = grayscale
+    ? await bytesToDataURL(
+        encodeGrayJpeg(toGrayscale(colorData), width, height, quality),
+        'image/jpeg'
+      )
+    : colorCanvas.toDataURL('image/jpeg', quality);
+
+  // Put the alpha channel back on the decoded JPEG
+  const previewCanvas = await createCanvasFromDataURL(colorDataURL);
+  const previewCtx = previewCanvas.getContext('2d');
+  const previewData = previewCtx.getImageData(0, 0, width, height);
+  alpha.forEach((value, i) => {
+    previewData.data[i * 4 + 3] = value;
+  });
+  previewCtx.putImageData(previewData, 0, 0);
+
+  const compressedAlpha = await new Response(
+    new Blob([alpha]).stream().pipeThrough(new CompressionStream('deflate'))
+  ).arrayBuffer();
+
+  return {
+    colorDataURL,
+    dataURL: previewCanvas.toDataURL('image/png'),
+    size: (await getBlobSizeFromDataURL(colorDataURL)) + compressedAlpha.byteLength,
+  };
+}
+
+/**
+ * Convert an image to grayscale or black and white, encoded the way PDFs store such images
+ * Transparent areas become white
+ * @param {HTMLCanvasElement} canvas - Source canvas
+ * @param {number} quality - JPEG quality (0-1), used for grayscale
+ * @param {Object} options - { colorMode: PDF.COLOR_MODE_GRAY or PDF.COLOR_MODE_BILEVEL,
+ *   threshold: gray level (0-255) below which pixels become black in black and white }
+ * @returns {Promise<Object>} - { dataURL: how the image will look (grayscale JPEG, or PNG for
+ *   black and white), size: bytes stored in the PDF, stream: for black and white, the 1-bit
+ *   image data to write ({ data, filter, decodeParms, colorSpace, bitsPerComponent }) encoded
+ *   with CCITT Group 4 or Flate, whichever is smaller }
+ */
+export async function encodeMonochrome(canvas, quality, { colorMode, threshold }) {
+  const { width, height } = canvas;
+  const ctx = canvas.getContext('2d');
+  const gray = toGrayscale(ctx.getImageData(0, 0, width, height));
+
+  if (colorMode === PDF.COLOR_MODE_GRAY) {
+    const jpegBytes = encodeGrayJpeg(gray, width, height, quality);
+    return {
+      dataURL: await bytesToDataURL(jpegBytes, 'image/jpeg'),
+      size: jpegBytes.length,
+      stream: null,
+    };
+  }
+
+  const pixels = toBilevel(gray, threshold ?? PDF.BILEVEL_THRESHOLD);
+  const ccittData = encodeCcittG4(pixels, width, height);
+  const flate = await encodeFlateBilevel(pixels, width, height);
+  const stream =
+    ccittData.length <= flate.data.length
+      ? {
+          data: ccittData,
+          filter: 'CCITTFaxDecode',
+          decodeParms: { K: -1, Columns: width, Rows: height },
+        }
+      : { data: flate.data, filter: 'FlateDecode', decodeParms: flate.decodeParms };
+
+  const previewCanvas = document.createElement('canvas');
+  previewCanvas.width = width;
+  previewCanvas.height = height;
+  const previewCtx = previewCanvas.getContext('2d');
+  const previewData = previewCtx.createImageData(width, height);
+  drawBilevel(pixels, previewData);
+  previewCtx.putImageData(previewData, 0, 0);
+
+  return {
+    dataURL: previewCanvas.toDataURL('image/png'),
+    size: stream.data.length,
+    stream: { ...stream, colorSpace: 'DeviceGray', bitsPerComponent: 1 },
+  };
+}
+
+/**
+ * Data URL of encoded image bytes
+ * @private
+ */
+function bytesToDataURL(bytes, type) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read image data'));
+    reader.readAsDataURL(new Blob([bytes], { type }));
+  });
+}
+
 /**
  * Load an image from a data URL onto an HTMLImageElement
  * @param {HTMLImageElement} imgElement - Target image element
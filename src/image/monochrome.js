@@ -0,0 +1,638 @@
+/**
+ * Monochrome Image Module for Simple Image/PDF Editor
+ * Converts images to grayscale or black and white (bilevel) and encodes them the way PDFs
+ * store such images: single-component JPEG, CCITT Group 4 and Flate with PNG predictors
+ */
+
+const MAX_BYTE = 255;
+const RGBA_CHANNELS = 4;
+const ALPHA_CHANNEL = 3;
+const BLOCK_SIZE = 8;
+const BLOCK_LENGTH = BLOCK_SIZE * BLOCK_SIZE;
+const JPEG_LEVEL_SHIFT = 128;
+const MAX_JPEG_QUALITY = 100;
+const HALF_JPEG_QUALITY = 50;
+const LOW_QUALITY_SCALE = 5000; // libjpeg's table scaling below quality 50
+const BITS_PER_BYTE = 8;
+const HIGH_BIT = 0x80;
+const HEX_RADIX = 16;
+
+// ITU-R BT.601 luma weights
+const LUMA_RED = 0.299;
+const LUMA_GREEN = 0.587;
+const LUMA_BLUE = 0.114;
+
+// JPEG markers
+const SOI = 0xffd8;
+const APP0 = 0xffe0;
+const DQT = 0xffdb;
+const SOF0 = 0xffc0;
+const DHT = 0xffc4;
+const SOS = 0xffda;
+const EOI = 0xffd9;
+const DC_TABLE_CLASS = 0x00;
+const AC_TABLE_CLASS = 0x10;
+const SAMPLING_1X1 = 0x11;
+const ZERO_RUN_LENGTH = 0xf0;
+const END_OF_BLOCK = 0x00;
+const MAX_ZERO_RUN = 16;
+const AC_RUN_SHIFT = 4;
+// JFIF APP0 payload: identifier, version 1.1, no density units, 1:1 density, no thumbnail
+const JFIF_HEADER = parseHexBytes('4a 46 49 46 00 01 01 00 00 01 00 01 00 00');
+
+// Example luminance quantization table of the JPEG standard (Annex K.1), in natural order
+const LUMINANCE_QUANTIZATION = (
+  '16 11 10 16 24 40 51 61 12 12 14 19 26 58 60 55 14 13 16 24 40 57 69 56 ' +
+  '14 17 22 29 51 87 80 62 18 22 37 56 68 109 103 77 24 35 55 64 81 104 113 92 ' +
+  '49 64 78 87 103 121 120 101 72 92 95 98 112 100 103 99'
+)
+  .split(' ')
+  .map(Number);
+
+// Standard luminance Huffman tables (Annex K.3): code counts per length, then the values
+const DC_LUMINANCE_COUNTS = parseHexBytes('00 01 05 01 01 01 01 01 01 00 00 00 00 00 00 00');
+const DC_LUMINANCE_VALUES = parseHexBytes('00 01 02 03 04 05 06 07 08 09 0a 0b');
+const AC_LUMINANCE_COUNTS = parseHexBytes('00 02 01 03 03 02 04 03 05 05 04 04 00 00 01 7d');
+const AC_LUMINANCE_VALUES = parseHexBytes(
+  '01 02 03 00 04 11 05 12 21 31 41 06 13 51 61 07 22 71 14 32 81 91 a1 08 ' +
+    '23 42 b1 c1 15 52 d1 f0 24 33 62 72 82 09 0a 16 17 18 19 1a 25 26 27 28 ' +
+    '29 2a 34 35 36 37 38 39 3a 43 44 45 46 47 48 49 4a 53 54 55 56 57 58 59 ' +
+    '5a 63 64 65 66 67 68 69 6a 73 74 75 76 77 78 79 7a 83 84 85 86 87 88 89 ' +
+    '8a 92 93 94 95 96 97 98 99 9a a2 a3 a4 a5 a6 a7 a8 a9 aa b2 b3 b4 b5 b6 ' +
+    'b7 b8 b9 ba c2 c3 c4 c5 c6 c7 c8 c9 ca d2 d3 d4 d5 d6 d7 d8 d9 da e1 e2 ' +
+    'e3 e4 e5 e6 e7 e8 e9 ea f1 f2 f3 f4 f5 f6 f7 f8 f9 fa'
+);
+
+// CCITT (ITU-T T.4) run length codes: terminating codes for 0-63, then make-up codes for
+// multiples of 64 up to 1728, then the make-up codes shared by both colors up to 2560
+const WHITE_TERMINATING_CODES = (
+  '00110101 000111 0111 1000 1011 1100 1110 1111 10011 10100 00111 01000 001000 000011 ' +
+  '110100 110101 101010 101011 0100111 0001100 0001000 0010111 0000011 0000100 0101000 ' +
+  '0101011 0010011 0100100 0011000 00000010 00000011 00011010 00011011 00010010 00010011 ' +
+  '00010100 00010101 00010110 00010111 00101000 00101001 00101010 00101011 00101100 ' +
+  '00101101 00000100 00000101 00001010 00001011 01010010 01010011 01010100 01010101 ' +
+  '00100100 00100101 01011000 01011001 01011010 01011011 01001010 01001011 00110010 ' +
+  '00110011 00110100'
+).split(' ');
+const WHITE_MAKEUP_CODES = (
+  '11011 10010 010111 0110111 00110110 00110111 01100100 01100101 01101000 01100111 ' +
+  '011001100 011001101 011010010 011010011 011010100 011010101 011010110 011010111 ' +
+  '011011000 011011001 011011010 011011011 010011000 010011001 010011010 011000 010011011'
+).split(' ');
+const BLACK_TERMINATING_CODES = (
+  '0000110111 010 11 10 011 0011 0010 00011 000101 000100 0000100 0000101 0000111 ' +
+  '00000100 00000111 000011000 0000010111 0000011000 0000001000 00001100111 00001101000 ' +
+  '00001101100 00000110111 00000101000 00000010111 00000011000 000011001010 000011001011 ' +
+  '000011001100 000011001101 000001101000 000001101001 000001101010 000001101011 ' +
+  '000011010010 000011010011 000011010100 000011010101 000011010110 000011010111 ' +
+  '000001101100 000001101101 000011011010 000011011011 000001010100 000001010101 ' +
+  '000001010110 000001010111 000001100100 000001100101 000001010010 000001010011 ' +
+  '000000100100 000000110111 000000111000 000000100111 000000101000 000001011000 ' +
+  '000001011001 000000101011 000000101100 000001011010 000001100110 000001100111'
+).split(' ');
+const BLACK_MAKEUP_CODES = (
+  '0000001111 000011001000 000011001001 000001011011 000000110011 000000110100 ' +
+  '000000110101 0000001101100 0000001101101 0000001001010 0000001001011 0000001001100 ' +
+  '0000001001101 0000001110010 0000001110011 0000001110100 0000001110101 0000001110110 ' +
+  '0000001110111 0000001010010 0000001010011 0000001010100 0000001010101 0000001011010 ' +
+  '0000001011011 0000001100100 0000001100101'
+).split(' ');
+const EXTENDED_MAKEUP_CODES = (
+  '00000001000 00000001100 00000001101 000000010010 000000010011 000000010100 ' +
+  '000000010101 000000010110 000000010111 000000011100 000000011101 000000011110 ' +
+  '000000011111'
+).split(' ');
+const MAKEUP_STEP = 64;
+const MAX_MAKEUP_RUN = 2560;
+
+// CCITT Group 4 (ITU-T T.6) mode codes
+const PASS_CODE = '0001';
+const HORIZONTAL_CODE = '001';
+const VERTICAL_CODES = ['0000010', '000010', '010', '1', '011', '000011', '0000011']; // a1 - b1 = -3..3
+const MAX_VERTICAL_OFFSET = 3;
+const END_OF_FACSIMILE_BLOCK = '000000000001000000000001';
+
+const WHITE = 0;
+const BLACK = 1;
+
+// PNG row filters (the PDF /Predictor 15 values pick the filter per row)
+const PNG_FILTER_COUNT = 5;
+const PNG_NONE = 0;
+const PNG_SUB = 1;
+const PNG_UP = 2;
+const PNG_AVERAGE = 3;
+const PNG_PREDICTOR = 15;
+const SIGNED_BYTE_LIMIT = 128;
+
+/**
+ * Convert RGBA pixels to 8-bit gray levels, blending transparent pixels onto white
+ * @param {ImageData} imageData - Source pixels
+ * @returns {Uint8Array} - One gray level per pixel, row by row
+ */
+export function toGrayscale({ data, width, height }) {
+  const gray = new Uint8Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const offset = i * RGBA_CHANNELS;
+    const alpha = data[offset + ALPHA_CHANNEL] / MAX_BYTE;
+    const luma =
+      LUMA_RED * data[offset] + LUMA_GREEN * data[offset + 1] + LUMA_BLUE * data[offset + 2];
+    gray[i] = Math.round(luma * alpha + MAX_BYTE * (1 - alpha));
+  }
+  return gray;
+}
+
+/**
+ * Convert gray levels to black and white
+ * @param {Uint8Array} gray - Gray levels (see toGrayscale)
+ * @param {number} threshold - Gray levels below this become black (0-255)
+ * @returns {Uint8Array} - One value per pixel: 1 for black, 0 for white
+ */
+export function toBilevel(gray, threshold) {
+  return gray.map((level) => (level < threshold ? BLACK : WHITE));
+}
+
+/**
+ * Expand black and white pixels to RGBA, e.g. to preview a bilevel image on a canvas
+ * @param {Uint8Array} pixels - Bilevel pixels (see toBilevel)
+ * @param {ImageData} imageData - Target pixels, same size as the image
+ */
+export function drawBilevel(pixels, imageData) {
+  const { data } = imageData;
+  pixels.forEach((pixel, i) => {
+    const level = pixel === BLACK ? 0 : MAX_BYTE;
+    const offset = i * RGBA_CHANNELS;
+    data.fill(level, offset, offset + ALPHA_CHANNEL);
+    data[offset + ALPHA_CHANNEL] = MAX_BYTE;
+  });
+}
+
+/**
+ * Encode gray levels as a baseline JPEG with a single (gray) component
+ * The canvas encoder only writes color JPEGs, which store gray images less compactly
+ * @param {Uint8Array} gray - Gray levels (see toGrayscale)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} quality - JPEG quality (0-1), scaled like libjpeg and the canvas encoder
+ * @returns {Uint8Array} - JPEG file bytes
+ */
+export function encodeGrayJpeg(gray, width, height, quality) {
+  const quantization = scaleQuantization(quality);
+  const zigzag = zigzagOrder();
+  const dcTable = buildHuffmanTable(DC_LUMINANCE_COUNTS, DC_LUMINANCE_VALUES);
+  const acTable = buildHuffmanTable(AC_LUMINANCE_COUNTS, AC_LUMINANCE_VALUES);
+  const writer = new BitWriter({ stuffMarkers: true });
+  const block = new Float64Array(BLOCK_LENGTH);
+  const coefficients = new Int32Array(BLOCK_LENGTH);
+  let previousDc = 0;
+
+  for (let blockY = 0; blockY < height; blockY += BLOCK_SIZE) {
+    for (let blockX = 0; blockX < width; blockX += BLOCK_SIZE) {
+      // Edge blocks repeat the last row and column
+      for (let y = 0; y < BLOCK_SIZE; y++) {
+        const row = Math.min(blockY + y, height - 1) * width;
+        for (let x = 0; x < BLOCK_SIZE; x++) {
+          block[y * BLOCK_SIZE + x] =
+            gray[row + Math.min(blockX + x, width - 1)] - JPEG_LEVEL_SHIFT;
+        }
+      }
+      forwardDct(block);
+      for (let i = 0; i < BLOCK_LENGTH; i++) {
+        coefficients[i] = Math.round(block[zigzag[i]] / quantization[zigzag[i]]);
+      }
+
+      writeCoefficient(writer, dcTable, coefficients[0] - previousDc, 0);
+      previousDc = coefficients[0];
+      let zeroRun = 0;
+      for (let i = 1; i < BLOCK_LENGTH; i++) {
+        if (coefficients[i] === 0) {
+          zeroRun++;
+          continue;
+        }
+        while (zeroRun >= MAX_ZERO_RUN) {
+          writer.writeCode(acTable.get(ZERO_RUN_LENGTH));
+          zeroRun -= MAX_ZERO_RUN;
+        }
+        writeCoefficient(writer, acTable, coefficients[i], zeroRun);
+        zeroRun = 0;
+      }
+      if (zeroRun > 0) {
+        writer.writeCode(acTable.get(END_OF_BLOCK));
+      }
+    }
+  }
+  const scan = writer.finish();
+
+  const bytes = [];
+  const writeWord = (value) => bytes.push(value >> BITS_PER_BYTE, value & MAX_BYTE);
+  const writeSegment = (marker, payload) => {
+    writeWord(marker);
+    writeWord(payload.length + 2);
+    bytes.push(...payload);
+  };
+  const huffmanSegment = (tableClass, counts, values) => [tableClass, ...counts, ...values];
+
+  writeWord(SOI);
+  writeSegment(APP0, JFIF_HEADER);
+  writeSegment(DQT, [0, ...zigzag.map((index) => quantization[index])]);
+  writeSegment(SOF0, [
+    BITS_PER_BYTE,
+    height >> BITS_PER_BYTE,
+    height & MAX_BYTE,
+    width >> BITS_PER_BYTE,
+    width & MAX_BYTE,
+    1, // Component count
+    1, // Component id, sampling factors and quantization table
+    SAMPLING_1X1,
+    0,
+  ]);
+  writeSegment(DHT, [
+    ...huffmanSegment(DC_TABLE_CLASS, DC_LUMINANCE_COUNTS, DC_LUMINANCE_VALUES),
+    ...huffmanSegment(AC_TABLE_CLASS, AC_LUMINANCE_COUNTS, AC_LUMINANCE_VALUES),
+  ]);
+  // Component 1 uses Huffman tables 0, full spectral range, no successive approximation
+  writeSegment(SOS, [1, 1, 0, 0, BLOCK_LENGTH - 1, 0]);
+
+  const jpeg = new Uint8Array(bytes.length + scan.length + 2);
+  jpeg.set(bytes, 0);
+  jpeg.set(scan, bytes.length);
+  jpeg.set([EOI >> BITS_PER_BYTE, EOI & MAX_BYTE], bytes.length + scan.length);
+  return jpeg;
+}
+
+/**
+ * Encode black and white pixels with CCITT Group 4 (T.6), the fax compression used for scans
+ * The result is for /Filter /CCITTFaxDecode with /K -1, /Columns width and /Rows height
+ * @param {Uint8Array} pixels - Bilevel pixels (see toBilevel)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Uint8Array} - Encoded data, ending with an end-of-facsimile-block code
+ */
+export function encodeCcittG4(pixels, width, height) {
+  const writer = new BitWriter();
+  const codes = ccittCodes();
+  let reference = new Uint8Array(width); // Imaginary all-white line above the first row
+
+  const writeRun = (length, color) => {
+    const { terminating, makeup } = color === WHITE ? codes.white : codes.black;
+    let remaining = length;
+    while (remaining >= MAKEUP_STEP) {
+      const run = Math.min(remaining - (remaining % MAKEUP_STEP), MAX_MAKEUP_RUN);
+      writer.writeCode(makeup.get(run));
+      remaining -= run;
+    }
+    writer.writeCode(terminating[remaining]);
+  };
+
+  for (let y = 0; y < height; y++) {
+    const line = pixels.subarray(y * width, (y + 1) * width);
+    let a0 = -1;
+    let color = WHITE;
+
+    while (a0 < width) {
+      const a1 = nextChangingElement(line, a0, color);
+      const b1 = nextChangingElement(reference, a0, color, true);
+      const b2 = nextChangingElement(reference, b1, 1 - color);
+
+      if (b2 < a1) {
+        writer.writeCode(codes.pass);
+        a0 = b2;
+      } else if (Math.abs(a1 - b1) <= MAX_VERTICAL_OFFSET) {
+        writer.writeCode(codes.vertical[a1 - b1 + MAX_VERTICAL_OFFSET]);
+        a0 = a1;
+        color = 1 - color;
+      } else {
+        const a2 = nextChangingElement(line, a1, 1 - color);
+        writer.writeCode(codes.horizontal);
+        writeRun(a1 - Math.max(a0, 0), color);
+        writeRun(a2 - a1, 1 - color);
+        a0 = a2;
+      }
+    }
+    reference = line;
+  }
+
+  writer.writeCode(codes.endOfBlock);
+  return writer.finish();
+}
+
+/**
+ * Compress black and white pixels with Flate, using PNG predictors like PNG files do
+ * @param {Uint8Array} pixels - Bilevel pixels (see toBilevel)
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {Promise<Object>} - { data: zlib-compressed rows, decodeParms: the /DecodeParms
+ *   entries needed to decode them }
+ */
+export async function encodeFlateBilevel(pixels, width, height) {
+  const rowLength = Math.ceil(width / BITS_PER_BYTE);
+  const rows = new Uint8Array(rowLength * height);
+  pixels.forEach((pixel, i) => {
+    // DeviceGray with 1 bit per component: 1 is white
+    if (pixel === WHITE) {
+      const x = i % width;
+      const index = Math.floor(i / width) * rowLength + Math.floor(x / BITS_PER_BYTE);
+      rows[index] |= HIGH_BIT >> (x % BITS_PER_BYTE);
+    }
+  });
+
+  const filtered = applyPngFilters(rows, rowLength, height);
+  const data = new Uint8Array(
+    await new Response(
+      new Blob([filtered]).stream().pipeThrough(new CompressionStream('deflate'))
+    ).arrayBuffer()
+  );
+
+  return {
+    data,
+    decodeParms: { Predictor: PNG_PREDICTOR, Colors: 1, BitsPerComponent: 1, Columns: width },
+  };
+}
+
+/**
+ * Writes variable length codes most significant bit first
+ * @private
+ */
+class BitWriter {
+  constructor({ stuffMarkers = false } = {}) {
+    this.bytes = [];
+    this.current = 0;
+    this.count = 0;
+    // JPEG entropy-coded data follows every 0xFF byte with 0x00 so it isn't read as a marker
+    this.stuffMarkers = stuffMarkers;
+  }
+
+  writeBits(value, length) {
+    for (let bit = length - 1; bit >= 0; bit--) {
+      this.current = (this.current << 1) | ((value >> bit) & 1);
+      this.count++;
+      if (this.count === BITS_PER_BYTE) {
+        this.pushByte(this.current);
+        this.current = 0;
+        this.count = 0;
+      }
+    }
+  }
+
+  writeCode({ code, length }) {
+    this.writeBits(code, length);
+  }
+
+  pushByte(byte) {
+    this.bytes.push(byte);
+    if (this.stuffMarkers && byte === MAX_BYTE) {
+      this.bytes.push(0);
+    }
+  }
+
+  // Pad the last byte (with 1 bits for JPEG, as the standard asks) and return the bytes
+  finish() {
+    if (this.count > 0) {
+      const padding = BITS_PER_BYTE - this.count;
+      this.pushByte((this.current << padding) | (this.stuffMarkers ? (1 << padding) - 1 : 0));
+    }
+    return Uint8Array.from(this.bytes);
+  }
+}
+
+/**
+ * libjpeg's scaling of the standard quantization table for a 0-1 quality
+ * @private
+ */
+function scaleQuantization(quality) {
+  const percent = Math.min(Math.max(Math.round(quality * MAX_JPEG_QUALITY), 1), MAX_JPEG_QUALITY);
+  const scale =
+    percent < HALF_JPEG_QUALITY ? LOW_QUALITY_SCALE / percent : 2 * MAX_JPEG_QUALITY - 2 * percent;
+  return LUMINANCE_QUANTIZATION.map((value) =>
+    Math.min(
+      Math.max(Math.floor((value * scale + HALF_JPEG_QUALITY) / MAX_JPEG_QUALITY), 1),
+      MAX_BYTE
+    )
+  );
+}
+
+/**
+ * Natural-order indexes of the 8x8 block in the zigzag order coefficients are written in
+ * @private
+ */
+function zigzagOrder() {
+  const order = [];
+  for (let diagonal = 0; diagonal < 2 * BLOCK_SIZE - 1; diagonal++) {
+    const cells = [];
+    for (
+      let y = Math.max(0, diagonal - BLOCK_SIZE + 1);
+      y <= Math.min(diagonal, BLOCK_SIZE - 1);
+      y++
+    ) {
+      cells.push(y * BLOCK_SIZE + (diagonal - y));
+    }
+    // Even diagonals run bottom-left to top-right
+    order.push(...(diagonal % 2 === 0 ? cells.reverse() : cells));
+  }
+  return order;
+}
+
+/**
+ * Two-dimensional DCT-II of an 8x8 block, in place
+ * @private
+ */
+function forwardDct(block) {
+  const cosines = dctCosines();
+  const temp = new Float64Array(BLOCK_LENGTH);
+
+  for (let y = 0; y < BLOCK_SIZE; y++) {
+    for (let u = 0; u < BLOCK_SIZE; u++) {
+      let sum = 0;
+      for (let x = 0; x < BLOCK_SIZE; x++) {
+        sum += block[y * BLOCK_SIZE + x] * cosines[u * BLOCK_SIZE + x];
+      }
+      temp[y * BLOCK_SIZE + u] = sum;
+    }
+  }
+  for (let u = 0; u < BLOCK_SIZE; u++) {
+    for (let v = 0; v < BLOCK_SIZE; v++) {
+      let sum = 0;
+      for (let y = 0; y < BLOCK_SIZE; y++) {
+        sum += temp[y * BLOCK_SIZE + u] * cosines[v * BLOCK_SIZE + y];
+      }
+      block[v * BLOCK_SIZE + u] = sum;
+    }
+  }
+}
+
+let cachedCosines = null;
+
+/**
+ * DCT basis with its normalization: C(u)/2 * cos((2x + 1) u pi / 16)
+ * @private
+ */
+function dctCosines() {
+  if (!cachedCosines) {
+    cachedCosines = new Float64Array(BLOCK_LENGTH);
+    for (let u = 0; u < BLOCK_SIZE; u++) {
+      const scale = u === 0 ? Math.SQRT1_2 / 2 : 1 / 2;
+      for (let x = 0; x < BLOCK_SIZE; x++) {
+        cachedCosines[u * BLOCK_SIZE + x] =
+          scale * Math.cos(((2 * x + 1) * u * Math.PI) / (2 * BLOCK_SIZE));
+      }
+    }
+  }
+  return cachedCosines;
+}
+
+/**
+ * Map of value to { code, length } for a Huffman table given as code counts per length
+ * @private
+ */
+function buildHuffmanTable(counts, values) {
+  const table = new Map();
+  let code = 0;
+  let index = 0;
+  counts.forEach((count, lengthIndex) => {
+    for (let i = 0; i < count; i++) {
+      table.set(values[index++], { code: code++, length: lengthIndex + 1 });
+    }
+    code <<= 1;
+  });
+  return table;
+}
+
+/**
+ * Write a DC difference or AC coefficient: its Huffman-coded size category (combined with the
+ * preceding zero run for AC), followed by the value's bits
+ * @private
+ */
+function writeCoefficient(writer, table, value, zeroRun) {
+  const magnitude = Math.abs(value);
+  const category = magnitude === 0 ? 0 : Math.floor(Math.log2(magnitude)) + 1;
+  writer.writeCode(table.get((zeroRun << AC_RUN_SHIFT) | category));
+  if (category > 0) {
+    // Negative values are written as value - 1 in the category's bits (one's complement)
+    writer.writeBits(value < 0 ? value - 1 + (1 << category) : value, category);
+  }
+}
+
+let cachedCcittCodes = null;
+
+/**
+ * CCITT code tables as { code, length } entries
+ * @private
+ */
+function ccittCodes() {
+  if (!cachedCcittCodes) {
+    const toCode = (bits) => ({ code: parseInt(bits, 2), length: bits.length });
+    const makeupTable = (codes) => {
+      const table = new Map();
+      [...codes, ...EXTENDED_MAKEUP_CODES].forEach((bits, i) =>
+        table.set((i + 1) * MAKEUP_STEP, toCode(bits))
+      );
+      return table;
+    };
+    cachedCcittCodes = {
+      white: {
+        terminating: WHITE_TERMINATING_CODES.map(toCode),
+        makeup: makeupTable(WHITE_MAKEUP_CODES),
+      },
+      black: {
+        terminating: BLACK_TERMINATING_CODES.map(toCode),
+        makeup: makeupTable(BLACK_MAKEUP_CODES),
+      },
+      pass: toCode(PASS_CODE),
+      horizontal: toCode(HORIZONTAL_CODE),
+      vertical: VERTICAL_CODES.map(toCode),
+      endOfBlock: toCode(END_OF_FACSIMILE_BLOCK),
+    };
+  }
+  return cachedCcittCodes;
+}
+
+/**
+ * Position of the first changing element after `start` whose color isn't `color` (the line
+ * width when there is none). Elements before the line count as white. With `referenceLine`,
+ * this is T.6's b1: the element must also differ from the one before it on that line
+ * @private
+ */
+function nextChangingElement(line, start, color, referenceLine = false) {
+  const width = line.length;
+  for (let x = Math.max(start + 1, 0); x < width; x++) {
+    const previous = x === 0 ? WHITE : line[x - 1];
+    if (line[x] !== color && (!referenceLine || line[x] !== previous)) {
+      return x;
+    }
+  }
+  return width;
+}
+
+/**
+ * Prefix each row with the PNG filter that makes it most compressible (the filter whose
+ * output has the smallest sum of absolute signed values, as libpng does)
+ * @private
+ */
+function applyPngFilters(rows, rowLength, height) {
+  const output = new Uint8Array((rowLength + 1) * height);
+  const candidates = Array.from({ length: PNG_FILTER_COUNT }, () => new Uint8Array(rowLength));
+  const emptyRow = new Uint8Array(rowLength);
+
+  for (let y = 0; y < height; y++) {
+    const row = rows.subarray(y * rowLength, (y + 1) * rowLength);
+    const above = y > 0 ? rows.subarray((y - 1) * rowLength, y * rowLength) : emptyRow;
+    let bestFilter = PNG_NONE;
+    let bestScore = Infinity;
+
+    candidates.forEach((candidate, filter) => {
+      let score = 0;
+      for (let x = 0; x < rowLength; x++) {
+        // Filters work on whole bytes; the byte to the left stands in for the left pixel
+        const left = x > 0 ? row[x - 1] : 0;
+        const upLeft = x > 0 ? above[x - 1] : 0;
+        const value = (row[x] - predictPng(filter, left, above[x], upLeft)) & MAX_BYTE;
+        candidate[x] = value;
+        score += value < SIGNED_BYTE_LIMIT ? value : 2 * SIGNED_BYTE_LIMIT - value;
+      }
+      if (score < bestScore) {
+        bestScore = score;
+        bestFilter = filter;
+      }
+    });
+
+    const offset = y * (rowLength + 1);
+    output[offset] = bestFilter;
+    output.set(candidates[bestFilter], offset + 1);
+  }
+  return output;
+}
+
+/**
+ * PNG filter prediction from the left, above and upper-left bytes
+ * @private
+ */
+function predictPng(filter, left, above, upLeft) {
+  switch (filter) {
+    case PNG_NONE:
+      return 0;
+    case PNG_SUB:
+      return left;
+    case PNG_UP:
+      return above;
+    case PNG_AVERAGE:
+      return (left + above) >> 1;
+    default: {
+      // Paeth
+      const estimate = left + above - upLeft;
+      const distanceLeft = Math.abs(estimate - left);
+      const distanceAbove = Math.abs(estimate - above);
+      const distanceUpLeft = Math.abs(estimate - upLeft);
+      if (distanceLeft <= distanceAbove && distanceLeft <= distanceUpLeft) {
+        return left;
+      }
+      return distanceAbove <= distanceUpLeft ? above : upLeft;
+    }
+  }
+}
+
+/**
+ * Table of bytes written as space-separated hex values, as in the JPEG standard
+ * @private
+ */
+function parseHexBytes(text) {
+  return text.split(' ').map((byte) => parseInt(byte, HEX_RADIX));
+}
@@ -0,0 +1,120 @@
+/**
+ * PDF Cleanup Module using pdf-lib
+ * Lossless size reductions that don't touch image quality: removes unreachable objects,
+ * page thumbnails, PieceInfo and (optionally) XMP metadata, and compresses unfiltered streams
+ */
+
+/**
+ * Run the lossless cleanup pass on a loaded pdf-lib document (modified in place)
+ * @param {PDFDocument} pdfDoc - Document to clean up
+ * @param {Object} options - { stripXmp: also remove XMP metadata streams }
+ * @returns {Object} - Counts of what was removed or compressed
+ */
+export function cleanupPdf(pdfDoc, { stripXmp = false } = {}) {
+  return {
+    thumbnails: removeKey(pdfDoc, 'Thumb'),
+    pieceInfo: removeKey(pdfDoc, 'PieceInfo'),
+    xmpPackets: stripXmp ? removeKey(pdfDoc, 'Metadata') : 0,
+    // Collect garbage after removing entries so the objects they pointed to are dropped too
+    unusedObjects: removeUnreachableObjects(pdfDoc),
+    compressedStreams: compressUnfilteredStreams(pdfDoc),
+  };
+}
+
+/**
+ * Delete `key` from every dictionary and stream dictionary in the document
+ * @private
+ */
+function removeKey(pdfDoc, key) {
+  const { PDFDict, PDFName } = window.PDFLib;
+  const name = PDFName.of(key);
+  let removed = 0;
+
+  for (const [, obj] of pdfDoc.context.enumerateIndirectObjects()) {
+    const dict = obj instanceof PDFDict ? obj : obj.dict;
+    if (dict?.has(name)) {
+      dict.delete(name);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Delete indirect objects that can't be reached from the trailer
+ * (left over from incremental saves, cross-reference streams, removed entries or pages, ...)
+ * @param {PDFDocument} pdfDoc - Document to clean up
+ * @returns {number} - Number of objects deleted
+ */
+export function removeUnreachableObjects(pdfDoc) {
+  const { PDFArray, PDFDict, PDFRef } = window.PDFLib;
+  const { context } = pdfDoc;
+
+  const reachable = new Set();
+  const pending = Object.values(context.trailerInfo).filter(Boolean);
+
+  while (pending.length > 0) {
+    const value = pending.pop();
+
+    if (value instanceof PDFRef) {
+      if (!reachable.has(value)) {
+        reachable.add(value);
+        const obj = context.lookup(value);
+        if (obj) {
+          pending.push(obj);
+        }
+      }
+    } else if (value instanceof PDFDict) {
+      pending.push(...value.values());
+    } else if (value instanceof PDFArray) {
+      pending.push(...value.asArray());
+    } else if (value?.dict instanceof PDFDict) {
+      // Streams
+      pending.push(value.dict);
+    }
+  }
+
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!reachable.has(ref)) {
+      context.delete(ref);
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Flate-compress streams that are stored without a filter
+ * XMP packets are left readable, as the PDF spec recommends
+ * @private
+ */
+function compressUnfilteredStreams(pdfDoc) {
+  const { PDFName, PDFRawStream } = window.PDFLib;
+  const { context } = pdfDoc;
+  let compressed = 0;
+
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (
+      !(obj instanceof PDFRawStream) ||
+      obj.dict.has(PDFName.of('Filter')) ||
+      obj.dict.get(PDFName.of('Type')) === PDFName.of('Metadata')
+    ) {
+      continue;
+    }
+
+    const flateStream = context.flateStream(obj.contents);
+    if (flateStream.contents.length >= obj.contents.length) {
+      continue;
+    }
+
+    obj.dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    obj.dict.delete(PDFName.of('DecodeParms'));
+    context.assign(ref, PDFRawStream.of(obj.dict, flateStream.contents));
+    compressed++;
+  }
+
+  return compressed;
+}
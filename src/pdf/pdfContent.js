@@ -0,0 +1,454 @@
+/**
+ * PDF Content Module using pdf-lib
+ * Finds and rewrites inline images (BI ... ID ... EI) in the content streams of pages and of
+ * the Form XObjects they draw, following the Form XObjects' own resources
+ *
+ * An inline image is located by its content stream and its position in that stream:
+ * { streamRef: object id of the stream ("12R", as pdf.js writes ids), index: 0-based }
+ */
+
+import { parseObjectRef, toObjectId } from './pdfObjectIds.js';
+
+// Abbreviations of inline image dictionaries (PDF spec tables 92 and 93)
+const FILTER_ABBREVIATIONS = {
+  AHx: 'ASCIIHexDecode',
+  A85: 'ASCII85Decode',
+  LZW: 'LZWDecode',
+  Fl: 'FlateDecode',
+  RL: 'RunLengthDecode',
+  CCF: 'CCITTFaxDecode',
+  DCT: 'DCTDecode',
+};
+const COLOR_SPACE_ABBREVIATIONS = { DeviceGray: 'G', DeviceRGB: 'RGB', DeviceCMYK: 'CMYK' };
+
+const charCode = (char) => char.charCodeAt(0);
+const WHITESPACE = new Set(Array.from('\0\t\n\f\r ', charCode));
+const DELIMITERS = new Set(Array.from('()<>[]{}/%', charCode));
+const [LF, CR, PERCENT, BACKSLASH] = Array.from('\n\r%\\', charCode);
+const [OPEN_PAREN, CLOSE_PAREN, LESS_THAN, GREATER_THAN] = Array.from('()<>', charCode);
+const [LETTER_E, LETTER_I, SPACE, TILDE] = Array.from('EI ~', charCode);
+// Bytes after a candidate EI that must look like content stream operators
+const EI_LOOKAHEAD = 16;
+// Bytes of white space allowed between data of a given length (/L) and its EI
+const EI_MAX_GAP = 4;
+
+/**
+ * List the inline images of every page in painting order, including those drawn by
+ * Form XObjects (an image in a Form XObject drawn twice is listed twice)
+ * @param {PDFDocument} pdfDoc - Loaded (and decrypted) document
+ * @returns {Array} - For each page: [{ streamRef, index, width, height, imageMask,
+ *   filter: stored filters joined with "+" ("none" if unfiltered), size: bytes of image data }]
+ */
+export function findInlineImages(pdfDoc) {
+  const { PDFArray, PDFName } = window.PDFLib;
+  const parsedStreams = new Map();
+
+  return pdfDoc.getPages().map((page) => {
+    const images = [];
+    const contents = page.node.get(PDFName.of('Contents'));
+    const streamRefs = contents instanceof PDFArray ? contents.asArray() : [contents];
+    for (const streamRef of streamRefs) {
+      collectInlineImages(pdfDoc, streamRef, page.node.Resources(), {
+        images,
+        parsedStreams,
+        formRefs: new Set(),
+      });
+    }
+    return images;
+  });
+}
+
+/**
+ * Replace inline images with new image data (modified in place)
+ * Rewritten content streams are Flate-compressed
+ * @param {PDFDocument} pdfDoc - Loaded (and decrypted) document
+ * @param {Array} replacements - [{ streamRef, index, width, height, colorSpace: 'DeviceRGB' or
+ *   'DeviceGray', bitsPerComponent, filter: 'DCTDecode', 'FlateDecode' or 'CCITTFaxDecode',
+ *   decodeParms: optional filter parameters, data: Uint8Array }]
+ * @returns {Array} - The replacements that were written
+ */
+export function replaceInlineImages(pdfDoc, replacements) {
+  const { PDFName, PDFRawStream } = window.PDFLib;
+  const { context } = pdfDoc;
+  const replaced = [];
+
+  const byStream = new Map();
+  for (const replacement of replacements) {
+    const entries = byStream.get(replacement.streamRef) || [];
+    entries.push(replacement);
+    byStream.set(replacement.streamRef, entries);
+  }
+
+  for (const [streamRef, entries] of byStream) {
+    const ref = parseObjectRef(streamRef);
+    const bytes = decodeContentStream(context.lookup(ref));
+    if (!bytes) {
+      console.warn(`Content stream ${streamRef} could not be read, inline images kept`);
+      continue;
+    }
+
+    const { images } = parseContent(bytes);
+    const parts = [];
+    let pos = 0;
+    for (const entry of entries.sort((a, b) => a.index - b.index)) {
+      const image = images[entry.index];
+      if (!image || image.start < pos) {
+        console.warn(`Inline image ${entry.index} not found in content stream ${streamRef}`);
+        continue;
+      }
+      parts.push(bytes.subarray(pos, image.start), encodeInlineImage(entry));
+      pos = image.end;
+      replaced.push(entry);
+    }
+    parts.push(bytes.subarray(pos));
+
+    const contents = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    parts.reduce((offset, part) => {
+      contents.set(part, offset);
+      return offset + part.length;
+    }, 0);
+
+    const { dict } = context.lookup(ref);
+    dict.set(PDFName.of('Filter'), PDFName.of('FlateDecode'));
+    dict.delete(PDFName.of('DecodeParms'));
+    context.assign(ref, PDFRawStream.of(dict, context.flateStream(contents).contents));
+  }
+
+  return replaced;
+}
+
+/**
+ * Add the inline images of a content stream, and of the Form XObjects it draws, to `images`
+ * @private
+ */
+function collectInlineImages(pdfDoc, streamRef, resources, scan) {
+  const { PDFDict, PDFName, PDFRawStream, PDFRef } = window.PDFLib;
+  if (!(streamRef instanceof PDFRef)) {
+    return;
+  }
+
+  const id = toObjectId(streamRef);
+  if (!scan.parsedStreams.has(id)) {
+    const bytes = decodeContentStream(pdfDoc.context.lookup(streamRef));
+    scan.parsedStreams.set(id, bytes ? parseContent(bytes) : { items: [] });
+  }
+
+  for (const item of scan.parsedStreams.get(id).items) {
+    if (item.image) {
+      const { index, width, height, imageMask, filter, size } = item.image;
+      scan.images.push({ streamRef: id, index, width, height, imageMask, filter, size });
+      continue;
+    }
+
+    // "Do" of a Form XObject: its content uses its own resources, or inherits these
+    const xObjects = resources?.lookup(PDFName.of('XObject'));
+    const formRef = xObjects instanceof PDFDict ? xObjects.get(PDFName.of(item.form)) : null;
+    const form = formRef instanceof PDFRef ? pdfDoc.context.lookup(formRef) : null;
+    if (
+      !(form instanceof PDFRawStream) ||
+      form.dict.get(PDFName.of('Subtype')) !== PDFName.of('Form') ||
+      scan.formRefs.has(formRef)
+    ) {
+      continue;
+    }
+
+    const formResources = form.dict.lookup(PDFName.of('Resources'));
+    scan.formRefs.add(formRef);
+    collectInlineImages(
+      pdfDoc,
+      formRef,
+      formResources instanceof PDFDict ? formResources : resources,
+      scan
+    );
+    scan.formRefs.delete(formRef);
+  }
+}
+
+/**
+ * Decoded bytes of a content stream, or null if it can't be decoded
+ * @private
+ */
+function decodeContentStream(stream) {
+  const { PDFRawStream, decodePDFRawStream } = window.PDFLib;
+  if (!(stream instanceof PDFRawStream)) {
+    return null;
+  }
+  try {
+    return decodePDFRawStream(stream).decode();
+  } catch (err) {
+    console.warn('Could not decode content stream:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Find the inline images and Form XObject placements ("/Name Do") of a content stream
+ * @private
+ */
+function parseContent(bytes) {
+  const items = [];
+  const images = [];
+  let lastName = null;
+
+  for (let token = readToken(bytes, 0); token; token = readToken(bytes, token.end)) {
+    if (token.type === 'name') {
+      lastName = token.value;
+      continue;
+    }
+    if (token.type !== 'keyword') {
+      continue;
+    }
+
+    if (token.value === 'BI') {
+      const image = readInlineImage(bytes, token);
+      if (!image) {
+        console.warn('Malformed inline image, rest of content stream skipped');
+        break;
+      }
+      image.index = images.length;
+      images.push(image);
+      items.push({ image });
+      token.end = image.end;
+    } else if (token.value === 'Do' && lastName) {
+      items.push({ form: lastName });
+    }
+    lastName = null;
+  }
+
+  return { items, images };
+}
+
+/**
+ * Read an inline image starting at its BI token
+ * @private
+ */
+function readInlineImage(bytes, biToken) {
+  const params = {};
+  let token = readToken(bytes, biToken.end);
+  while (token && !(token.type === 'keyword' && token.value === 'ID')) {
+    if (token.type !== 'name') {
+      return null;
+    }
+    const value = readValue(bytes, token.end);
+    if (!value) {
+      return null;
+    }
+    params[token.value] = value.value;
+    token = readToken(bytes, value.end);
+  }
+  if (!token) {
+    return null;
+  }
+
+  // ID is followed by a single white-space character, then the image data
+  const dataStart = token.end + 1;
+  const eiStart = findImageDataEnd(bytes, dataStart, params.L ?? params.Length);
+  if (eiStart === -1) {
+    return null;
+  }
+
+  const filters = [].concat(params.F ?? params.Filter ?? []);
+  return {
+    start: biToken.start,
+    end: eiStart + 2,
+    width: params.W ?? params.Width,
+    height: params.H ?? params.Height,
+    imageMask: !!(params.IM ?? params.ImageMask),
+    filter: filters.map((name) => FILTER_ABBREVIATIONS[name] || name).join('+') || 'none',
+    size: Math.max(eiStart - 1 - dataStart, 0),
+  };
+}
+
+/**
+ * Position of the EI that ends inline image data starting at `dataStart`
+ * Image data can contain "EI" itself, so a match must be followed by what looks like more
+ * content stream operators (the same heuristic pdf.js uses)
+ * @private
+ */
+function findImageDataEnd(bytes, dataStart, length) {
+  const isEnd = (i) =>
+    bytes[i] === LETTER_E &&
+    bytes[i + 1] === LETTER_I &&
+    WHITESPACE.has(bytes[i - 1]) &&
+    (i + 2 >= bytes.length || WHITESPACE.has(bytes[i + 2]) || DELIMITERS.has(bytes[i + 2]));
+  const looksLikeOperators = (i) =>
+    bytes
+      .subarray(i, i + EI_LOOKAHEAD)
+      .every((byte) => WHITESPACE.has(byte) || (byte >= SPACE && byte <= TILDE));
+
+  // The length, when given (PDF 2.0), points just past the data
+  if (Number.isInteger(length)) {
+    for (
+      let i = dataStart + length;
+      i < Math.min(bytes.length, dataStart + length + EI_MAX_GAP);
+      i++
+    ) {
+      if (isEnd(i)) {
+        return i;
+      }
+    }
+  }
+
+  for (let i = dataStart + 1; i < bytes.length - 1; i++) {
+    if (isEnd(i) && looksLikeOperators(i + 2)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read a value (name, number, boolean, array or dictionary) starting at `pos`
+ * @private
+ */
+function readValue(bytes, pos) {
+  const token = readToken(bytes, pos);
+  if (!token) {
+    return null;
+  }
+
+  if (token.type === 'arrayStart' || token.type === 'dictStart') {
+    const closing = token.type === 'arrayStart' ? 'arrayEnd' : 'dictEnd';
+    const values = [];
+    let end = token.end;
+    for (let next = readToken(bytes, end); next?.type !== closing; next = readToken(bytes, end)) {
+      const item = next && readValue(bytes, end);
+      if (!item) {
+        return null;
+      }
+      values.push(item.value);
+      end = item.end;
+    }
+    end = readToken(bytes, end).end;
+
+    if (token.type === 'arrayStart') {
+      return { value: values, end };
+    }
+    const dict = {};
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      dict[values[i]] = values[i + 1];
+    }
+    return { value: dict, end };
+  }
+
+  if (token.type === 'keyword' && (token.value === 'true' || token.value === 'false')) {
+    return { value: token.value === 'true', end: token.end };
+  }
+  return { value: token.value, end: token.end };
+}
+
+/**
+ * Read the content stream token starting at or after `pos`
+ * @returns {Object|null} - { type, value, start, end }, or null at the end of the stream
+ * @private
+ */
+function readToken(bytes, pos) {
+  let i = pos;
+  while (i < bytes.length) {
+    if (WHITESPACE.has(bytes[i])) {
+      i++;
+    } else if (bytes[i] === PERCENT) {
+      // % comment, up to the end of the line
+      while (i < bytes.length && bytes[i] !== LF && bytes[i] !== CR) {
+        i++;
+      }
+    } else {
+      break;
+    }
+  }
+  if (i >= bytes.length) {
+    return null;
+  }
+
+  const start = i;
+  const char = String.fromCharCode(bytes[i]);
+
+  if (char === '(') {
+    // Literal string: balanced parentheses, backslash escapes
+    let depth = 0;
+    for (; i < bytes.length; i++) {
+      if (bytes[i] === BACKSLASH) {
+        i++;
+      } else if (bytes[i] === OPEN_PAREN) {
+        depth++;
+      } else if (bytes[i] === CLOSE_PAREN && --depth === 0) {
+        break;
+      }
+    }
+    return { type: 'string', value: null, start, end: i + 1 };
+  }
+  if (char === '<' && bytes[i + 1] === LESS_THAN) {
+    return { type: 'dictStart', value: '<<', start, end: i + 2 };
+  }
+  if (char === '>' && bytes[i + 1] === GREATER_THAN) {
+    return { type: 'dictEnd', value: '>>', start, end: i + 2 };
+  }
+  if (char === '<') {
+    const end = bytes.indexOf(GREATER_THAN, i);
+    return { type: 'string', value: null, start, end: end === -1 ? bytes.length : end + 1 };
+  }
+  if (char === '[' || char === ']') {
+    return { type: char === '[' ? 'arrayStart' : 'arrayEnd', value: char, start, end: i + 1 };
+  }
+  if (DELIMITERS.has(bytes[i]) && char !== '/') {
+    return { type: 'delimiter', value: char, start, end: i + 1 };
+  }
+
+  // Name (/Name) or regular token (number, operator, true/false/null)
+  i++;
+  while (i < bytes.length && !WHITESPACE.has(bytes[i]) && !DELIMITERS.has(bytes[i])) {
+    i++;
+  }
+  const text = String.fromCharCode(...bytes.subarray(char === '/' ? start + 1 : start, i));
+  if (char === '/') {
+    return { type: 'name', value: decodeName(text), start, end: i };
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+    return { type: 'number', value: parseFloat(text), start, end: i };
+  }
+  return { type: 'keyword', value: text, start, end: i };
+}
+
+/**
+ * Decode #xx escapes in a name
+ * @private
+ */
+function decodeName(text) {
+  return text.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Content stream bytes of an inline image
+ * @private
+ */
+function encodeInlineImage({
+  width,
+  height,
+  colorSpace,
+  bitsPerComponent = 8,
+  filter,
+  decodeParms,
+  data,
+}) {
+  const filterName = Object.keys(FILTER_ABBREVIATIONS).find(
+    (key) => FILTER_ABBREVIATIONS[key] === filter
+  );
+  const decodeParmsEntry = decodeParms
+    ? ` /DP << ${Object.entries(decodeParms)
+        .map(([key, value]) => `/${key} ${value}`)
+        .join(' ')} >>`
+    : '';
+  const header =
+    `BI /W ${width} /H ${height} /CS /${COLOR_SPACE_ABBREVIATIONS[colorSpace] || colorSpace}` +
+    ` /BPC ${bitsPerComponent} /F /${filterName || filter}${decodeParmsEntry}` +
+    ` /L ${data.length} ID `;
+  const encoder = new TextEncoder();
+  const head = encoder.encode(header);
+  const tail = encoder.encode('\nEI');
+
+  const bytes = new Uint8Array(head.length + data.length + tail.length);
+  bytes.set(head, 0);
+  bytes.set(data, head.length);
+  bytes.set(tail, head.length + data.length);
+  return bytes;
+}
@@ -0,0 +1,194 @@
+/**
+ * PDF Export Module
+ * Packages extracted images (with a manifest describing each one) and rendered pages into
+ * ZIP archives
+ */
+
+import { sanitizeFilename } from '../../utils.js';
+import { createZip } from '../core/zipWriter.js';
+import { toObjectId } from './pdfObjectIds.js';
+import { loadPdfDocument } from './pdfSecurity.js';
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+};
+
+// Manifest fields, in CSV column order
+const MANIFEST_COLUMNS = [
+  'file',
+  'imageName',
+  'page',
+  'pages',
+  'width',
+  'height',
+  'originalWidth',
+  'originalHeight',
+  'originalSize',
+  'optimizedSize',
+  'version',
+  'format',
+  'size',
+];
+
+/**
+ * Package extracted images into a ZIP with a manifest.json and manifest.csv
+ * Images without an optimized version are exported as originals; the manifest says which
+ * @param {Array} images - Extracted images (state.pdfImages)
+ * @param {Object} options - { version: 'original' or 'optimized', pdfBytes: the original PDF,
+ *   used to export JPEG images exactly as stored, password: password of an encrypted PDF,
+ *   sourceName: name of the PDF, recorded in the manifest }
+ * @returns {Promise<Blob>} - The ZIP file
+ */
+export async function buildImagesZip(images, options = {}) {
+  const { version = 'original', pdfBytes, password, sourceName = '' } = options;
+  const storedJpegs = pdfBytes ? await readStoredJpegs(pdfBytes, password) : new Map();
+
+  const files = [];
+  const entries = [];
+  const usedNames = new Set();
+
+  for (const img of images) {
+    const optimized = version === 'optimized' && !!img.optimizedDataURL;
+    const originalWidth = img.originalWidth ?? img.width;
+    const originalHeight = img.originalHeight ?? img.height;
+
+    let data;
+    let format;
+    const storedJpeg = !optimized && storedJpegs.get(img.objectRefs?.[0]);
+    if (storedJpeg) {
+      data = storedJpeg;
+      format = 'image/jpeg';
+    } else {
+      ({ data, format } = await dataURLToBytes(optimized ? img.optimizedDataURL : img.dataURL));
+    }
+
+    const file = uniqueFileName(
+      sanitizeFilename(`${img.imageName}.${FILE_EXTENSIONS[format] || 'img'}`),
+      usedNames
+    );
+    files.push({ name: file, data });
+    entries.push({
+      file,
+      imageName: img.imageName,
+      page: img.pageNum,
+      pages: img.pages || [img.pageNum],
+      width: optimized ? img.width : originalWidth,
+      height: optimized ? img.height : originalHeight,
+      originalWidth,
+      originalHeight,
+      originalSize: img.originalSize,
+      optimizedSize: img.optimizedDataURL ? img.optimizedSize : null,
+      version: optimized ? 'optimized' : 'original',
+      format,
+      size: data.length,
+    });
+  }
+
+  const manifest = {
+    source: sourceName,
+    exportedAt: new Date().toISOString(),
+    version,
+    imageCount: entries.length,
+    images: entries,
+  };
+  files.push(
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+    { name: 'manifest.csv', data: toCsv(entries) }
+  );
+
+  return createZip(files);
+}
+
+/**
+ * Package rendered pages into a ZIP, one image file per page
+ * @param {Array} pages - Rendered pages (see renderPdfPagesAsImages)
+ * @param {number} pageCount - Number of pages in the PDF; page numbers in the file names are
+ *   padded to the same length so the files sort in page order
+ * @returns {Promise<Blob>} - The ZIP file
+ */
+export async function buildPagesZip(pages, pageCount) {
+  const digits = String(pageCount).length;
+  const files = [];
+
+  for (const page of pages) {
+    const { data, format } = await dataURLToBytes(page.dataURL);
+    const pageNum = String(page.pageNum).padStart(digits, '0');
+    files.push({ name: `page-${pageNum}.${FILE_EXTENSIONS[format] || 'img'}`, data });
+  }
+
+  return createZip(files);
+}
+
+/**
+ * JPEG streams of the PDF that are complete JPEG files on their own, by object id ("12R")
+ * Streams with other filters, masks or a Decode array need the PDF to be displayed correctly
+ * @private
+ */
+async function readStoredJpegs(pdfBytes, password) {
+  const { PDFArray, PDFName, PDFRawStream } = window.PDFLib;
+  const jpegs = new Map();
+
+  try {
+    const { pdfDoc } = await loadPdfDocument(pdfBytes, password);
+    for (const [ref, obj] of pdfDoc.context.enumerateIndirectObjects()) {
+      if (
+        !(obj instanceof PDFRawStream) ||
+        obj.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')
+      ) {
+        continue;
+      }
+
+      const filter = obj.dict.lookup(PDFName.of('Filter'));
+      const filters = filter instanceof PDFArray ? filter.asArray() : [filter];
+      const standalone =
+        filters.length === 1 &&
+        filters[0] === PDFName.of('DCTDecode') &&
+        !['SMask', 'Mask', 'Decode'].some((key) => obj.dict.has(PDFName.of(key)));
+      if (standalone) {
+        jpegs.set(toObjectId(ref), obj.contents);
+      }
+    }
+  } catch (err) {
+    console.warn('Could not read stored JPEG images, exporting decoded images:', err.message);
+  }
+
+  return jpegs;
+}
+
+/**
+ * Bytes and MIME type of a data URL
+ * @private
+ */
+async function dataURLToBytes(dataURL) {
+  const response = await fetch(dataURL);
+  const blob = await response.blob();
+  return { data: new Uint8Array(await blob.arrayBuffer()), format: blob.type };
+}
+
+/**
+ * Add a counter to a file name that is already used in the archive
+ * @private
+ */
+function uniqueFileName(name, usedNames) {
+  let unique = name;
+  for (let n = 2; usedNames.has(unique); n++) {
+    unique = name.replace(/(\.\w+)?$/, `-${n}$1`);
+  }
+  usedNames.add(unique);
+  return unique;
+}
+
+/**
+ * Manifest entries as CSV (RFC 4180)
+ * @private
+ */
+function toCsv(entries) {
+  const escape = (value) => {
+    const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = entries.map((entry) => MANIFEST_COLUMNS.map((key) => escape(entry[key])).join(','));
+  return [MANIFEST_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
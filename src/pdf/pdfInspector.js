@@ -0,0 +1,323 @@
+/**
+ * PDF Inspector Module using pdf-lib
+ * Breaks a PDF's size down by category so it's clear where the bytes go
+ */
+
+import { PDF } from '../../config.js';
+import { loadPdfDocument } from './pdfSecurity.js';
+
+/**
+ * Size categories, in display order
+ */
+export const SIZE_CATEGORIES = {
+  images: 'Images',
+  fonts: 'Fonts',
+  contentStreams: 'Content streams',
+  metadata: 'Metadata',
+  annotations: 'Annotations',
+  attachments: 'Attachments',
+  other: 'Other',
+};
+
+/**
+ * Inspect a PDF and report how its size is distributed
+ * @param {Uint8Array} pdfBytes - Bytes of the PDF
+ * @param {string} password - Password for encrypted PDFs
+ * @returns {Promise<Object>} - { totalSize, categories, fonts, largestObjects }
+ */
+export async function inspectPdf(pdfBytes, password = '') {
+  if (!window.PDFLib) {
+    throw new Error(
+      'pdf-lib library not loaded. Make sure pdf-lib.min.js is in your extension folder.'
+    );
+  }
+
+  try {
+    // Encrypted PDFs are decrypted so objects inside object streams can be reached
+    const { pdfDoc } = await loadPdfDocument(pdfBytes, password);
+    const owners = classifyObjects(pdfDoc);
+
+    const categories = Object.fromEntries(
+      Object.keys(SIZE_CATEGORIES).map((key) => [key, { size: 0, count: 0 }])
+    );
+    const objects = [];
+    let objectsSize = 0;
+
+    for (const [ref, obj] of pdfDoc.context.enumerateIndirectObjects()) {
+      const { category, pageNum } = owners.get(ref) || { category: 'other', pageNum: null };
+      const size = obj.sizeInBytes();
+      categories[category].size += size;
+      categories[category].count++;
+      objectsSize += size;
+      objects.push({ ref: ref.toString(), category, pageNum, size, obj });
+    }
+
+    // Header, cross-reference table and trailer
+    categories.other.size += Math.max(0, pdfBytes.length - objectsSize);
+
+    const largestObjects = objects
+      .sort((a, b) => b.size - a.size)
+      .slice(0, PDF.INSPECTOR_LARGEST_OBJECTS)
+      .map(({ obj, ...entry }) => ({ ...entry, description: describeObject(obj) }));
+
+    return {
+      totalSize: pdfBytes.length,
+      pageCount: pdfDoc.getPageCount(),
+      categories,
+      fonts: summarizeFonts(pdfDoc),
+      largestObjects,
+    };
+  } catch (error) {
+    console.error('Error inspecting PDF:', error);
+    throw error;
+  }
+}
+
+/**
+ * Measure the bytes each page's content needs on its own: its content streams and the
+ * resources (images, fonts, Form XObjects, ...) that no other page uses
+ * This is roughly what replacing the page's content would save
+ * @param {Uint8Array} pdfBytes - Bytes of the PDF
+ * @param {string} password - Password for encrypted PDFs
+ * @returns {Promise<number[]>} - Size in bytes for each page, in page order
+ */
+export async function getPageContentSizes(pdfBytes, password = '') {
+  const { PDFArray, PDFDict, PDFName, PDFRef } = window.PDFLib;
+
+  try {
+    const { pdfDoc } = await loadPdfDocument(pdfBytes, password);
+    const { context } = pdfDoc;
+
+    // Objects reachable from a value, without following links back up the page tree
+    const collect = (value, refs) => {
+      if (value instanceof PDFRef) {
+        const obj = context.lookup(value);
+        const dict = obj instanceof PDFDict ? obj : obj?.dict;
+        if (refs.has(value) || dict?.get(PDFName.of('Type')) === PDFName.of('Page')) {
+          return;
+        }
+        refs.add(value);
+        collect(obj instanceof PDFArray ? obj : dict, refs);
+      } else if (value instanceof PDFDict) {
+        for (const [key, child] of value.entries()) {
+          if (key !== PDFName.of('Parent') && key !== PDFName.of('P')) {
+            collect(child, refs);
+          }
+        }
+      } else if (value instanceof PDFArray) {
+        value.asArray().forEach((child) => collect(child, refs));
+      }
+    };
+
+    const pageRefs = pdfDoc.getPages().map((page) => {
+      const refs = new Set();
+      collect(page.node.get(PDFName.of('Contents')), refs);
+      collect(page.node.Resources(), refs);
+      return refs;
+    });
+
+    const useCounts = new Map();
+    pageRefs.forEach((refs) =>
+      refs.forEach((ref) => useCounts.set(ref, (useCounts.get(ref) || 0) + 1))
+    );
+
+    return pageRefs.map((refs) =>
+      [...refs]
+        .filter((ref) => useCounts.get(ref) === 1)
+        .reduce((sum, ref) => sum + context.lookup(ref).sizeInBytes(), 0)
+    );
+  } catch (error) {
+    console.error('Error measuring page content:', error);
+    throw error;
+  }
+}
+
+/**
+ * Work out the category (and first page using it) of every indirect object
+ * Page content is walked first so objects get the page they belong to,
+ * then anything not reached from a page is classified by its /Type
+ * @private
+ */
+function classifyObjects(pdfDoc) {
+  const { PDFArray, PDFDict, PDFName, PDFRef } = window.PDFLib;
+  const { context } = pdfDoc;
+  const owners = new Map();
+
+  const lookupDict = (value) => {
+    const obj = context.lookup(value);
+    return obj instanceof PDFDict ? obj : obj?.dict;
+  };
+  const nameOf = (dict, key) => dict?.get(PDFName.of(key))?.toString();
+
+  // Assign a category to `value` and everything it references, without crossing into pages
+  const claim = (value, category, pageNum = null) => {
+    if (value instanceof PDFRef) {
+      if (owners.has(value)) {
+        return;
+      }
+      const type = nameOf(lookupDict(value), 'Type');
+      if (type === '/Page' || type === '/Pages') {
+        return;
+      }
+      owners.set(value, { category, pageNum });
+      const obj = context.lookup(value);
+      claim(obj instanceof PDFDict || obj instanceof PDFArray ? obj : obj?.dict, category, pageNum);
+    } else if (value instanceof PDFDict) {
+      for (const [key, child] of value.entries()) {
+        if (key !== PDFName.of('Parent') && key !== PDFName.of('P')) {
+          claim(child, category, pageNum);
+        }
+      }
+    } else if (value instanceof PDFArray) {
+      value.asArray().forEach((child) => claim(child, category, pageNum));
+    }
+  };
+
+  const claimOnly = (ref, category, pageNum) => {
+    if (ref instanceof PDFRef && !owners.has(ref)) {
+      owners.set(ref, { category, pageNum });
+    }
+  };
+
+  const visitResources = (resources, pageNum) => {
+    const dict = lookupDict(resources);
+    if (!dict) {
+      return;
+    }
+
+    const fonts = lookupDict(dict.get(PDFName.of('Font')));
+    fonts?.entries().forEach(([, font]) => claim(font, 'fonts', pageNum));
+
+    const xObjects = lookupDict(dict.get(PDFName.of('XObject')));
+    xObjects?.entries().forEach(([, ref]) => {
+      if (!(ref instanceof PDFRef) || owners.has(ref)) {
+        return;
+      }
+      const xObject = lookupDict(ref);
+      if (nameOf(xObject, 'Subtype') === '/Image') {
+        claim(ref, 'images', pageNum);
+      } else {
+        // Form XObjects are content streams with their own resources
+        claimOnly(ref, 'contentStreams', pageNum);
+        visitResources(xObject?.get(PDFName.of('Resources')), pageNum);
+      }
+    });
+  };
+
+  pdfDoc.getPages().forEach((page, index) => {
+    const pageNum = index + 1;
+    claimOnly(page.ref, 'other', pageNum);
+
+    const contents = page.node.get(PDFName.of('Contents'));
+    claim(contents, 'contentStreams', pageNum);
+
+    const annots = context.lookup(page.node.get(PDFName.of('Annots')));
+    if (annots instanceof PDFArray) {
+      annots.asArray().forEach((annot) => {
+        const annotDict = lookupDict(annot);
+        // Attached files are counted as attachments, not as the annotation carrying them
+        claim(annotDict?.get(PDFName.of('FS')), 'attachments', pageNum);
+        claim(annot, 'annotations', pageNum);
+      });
+    }
+
+    visitResources(page.node.Resources(), pageNum);
+  });
+
+  claim(context.trailerInfo.Info, 'metadata');
+
+  // Whatever isn't reachable from a page: classify by type
+  const typeCategories = {
+    '/Metadata': 'metadata',
+    '/EmbeddedFile': 'attachments',
+    '/Filespec': 'attachments',
+    '/Font': 'fonts',
+    '/FontDescriptor': 'fonts',
+    '/Annot': 'annotations',
+  };
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    const dict = obj instanceof PDFDict ? obj : obj.dict;
+    const category =
+      typeCategories[nameOf(dict, 'Type')] ||
+      (nameOf(dict, 'Subtype') === '/Image' ? 'images' : null);
+    if (category) {
+      claim(ref, category);
+    }
+  }
+
+  return owners;
+}
+
+/**
+ * Count fonts and how many of them are embedded and subset
+ * @private
+ */
+function summarizeFonts(pdfDoc) {
+  const { PDFArray, PDFDict, PDFName } = window.PDFLib;
+  const { context } = pdfDoc;
+  const summary = { total: 0, embedded: 0, subset: 0 };
+
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    if (!(obj instanceof PDFDict) || obj.get(PDFName.of('Type')) !== PDFName.of('Font')) {
+      continue;
+    }
+    // Descendant fonts are counted through their Type0 parent
+    if (/^\/CIDFontType/.test(obj.get(PDFName.of('Subtype'))?.toString())) {
+      continue;
+    }
+
+    summary.total++;
+
+    let fontDict = obj;
+    const descendants = context.lookup(obj.get(PDFName.of('DescendantFonts')));
+    if (descendants instanceof PDFArray) {
+      fontDict = context.lookup(descendants.get(0)) || obj;
+    }
+    const descriptor = context.lookup(fontDict.get(PDFName.of('FontDescriptor')));
+    if (
+      descriptor instanceof PDFDict &&
+      ['FontFile', 'FontFile2', 'FontFile3'].some((key) => descriptor.has(PDFName.of(key)))
+    ) {
+      summary.embedded++;
+    }
+
+    // Subset fonts have a six letter tag prefix, e.g. /ABCDEF+Helvetica
+    if (/^\/[A-Z]{6}\+/.test(obj.get(PDFName.of('BaseFont'))?.toString() || '')) {
+      summary.subset++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Short human-readable description of an object, e.g. "Image 1200×800 DCTDecode"
+ * @private
+ */
+function describeObject(obj) {
+  const { PDFArray, PDFDict, PDFName } = window.PDFLib;
+  const dict = obj instanceof PDFDict ? obj : obj.dict;
+
+  if (!dict) {
+    return obj instanceof PDFArray ? 'Array' : 'Object';
+  }
+
+  const get = (key) => dict.get(PDFName.of(key))?.toString().replace(/^\//, '');
+  const parts = [get('Type'), get('Subtype')].filter(Boolean);
+
+  if (get('Subtype') === 'Image') {
+    parts.push(`${get('Width')}×${get('Height')}`);
+  }
+  if (get('BaseFont')) {
+    parts.push(get('BaseFont'));
+  }
+  if (dict !== obj) {
+    // Stream
+    if (parts.length === 0) {
+      parts.push('Stream');
+    }
+    parts.push(get('Filter') || 'unfiltered');
+  }
+
+  return parts.join(' ') || 'Dictionary';
+}
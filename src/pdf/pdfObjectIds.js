@@ -0,0 +1,27 @@
+/**
+ * PDF Object Ids Module
+ * Converts between pdf-lib references and the object ids pdf.js uses ("12R", or "12R1" for
+ * generation 1), which extracted images keep in their objectRefs
+ */
+
+/**
+ * pdf.js object id of a pdf-lib reference
+ * @param {PDFRef} ref - Object reference
+ * @returns {string} - Object id, as in the objectRefs of extracted images
+ */
+export function toObjectId(ref) {
+  return `${ref.objectNumber}R${ref.generationNumber || ''}`;
+}
+
+/**
+ * Convert a pdf.js object id (see toObjectId) to a pdf-lib reference
+ * @param {string} objectId - Object id
+ * @returns {PDFRef} - Object reference
+ */
+export function parseObjectRef(objectId) {
+  const match = /^(\d+)R(\d*)$/.exec(objectId);
+  if (!match) {
+    throw new Error(`Invalid object reference: ${objectId}`);
+  }
+  return window.PDFLib.PDFRef.of(parseInt(match[1], 10), parseInt(match[2] || '0', 10));
+}
@@ -0,0 +1,187 @@
+/**
+ * PDF Pages Module using pdf-lib
+ * Page operations: reorder, delete, rotate and extract pages, and merge PDFs
+ *
+ * A page layout lists the pages of the output in order:
+ * [{ pageNum: page number in the original PDF (1-based), rotation: degrees added clockwise }]
+ */
+
+import { removeUnreachableObjects } from './pdfCleanup.js';
+import { loadPdfDocument } from './pdfSecurity.js';
+
+// Page attributes that can be inherited from the page tree (PDF spec 7.7.3.4)
+const INHERITABLE_ATTRIBUTES = ['Resources', 'MediaBox', 'CropBox', 'Rotate'];
+
+/**
+ * Page layout of an unmodified document
+ * @param {number} pageCount - Number of pages
+ * @returns {Array} - Every page in its original order, without rotation
+ */
+export function createPageLayout(pageCount) {
+  return Array.from({ length: pageCount }, (_, i) => ({ pageNum: i + 1, rotation: 0 }));
+}
+
+/**
+ * Check whether a layout leaves the document unchanged
+ * @param {Array|null} layout - Page layout
+ * @param {number} pageCount - Number of pages in the original PDF
+ * @returns {boolean}
+ */
+export function isDefaultPageLayout(layout, pageCount) {
+  return (
+    !layout ||
+    (layout.length === pageCount &&
+      layout.every((entry, i) => entry.pageNum === i + 1 && entry.rotation % 360 === 0))
+  );
+}
+
+/**
+ * Rearrange a loaded document's pages to match a page layout (modified in place)
+ * Objects only used by removed pages are deleted
+ * @param {PDFDocument} pdfDoc - Document to rearrange
+ * @param {Array} layout - Page layout
+ */
+export function applyPageLayout(pdfDoc, layout) {
+  const { PDFName, PDFNumber, degrees } = window.PDFLib;
+
+  if (layout.length === 0) {
+    throw new Error('A PDF needs at least one page');
+  }
+
+  const pages = pdfDoc.getPages();
+
+  // Pages are taken out of the page tree, so attributes they inherit become their own
+  for (const page of pages) {
+    for (const key of INHERITABLE_ATTRIBUTES) {
+      const name = PDFName.of(key);
+      const value = page.node.getInheritableAttribute(name);
+      if (value !== undefined && !page.node.has(name)) {
+        page.node.set(name, value);
+      }
+    }
+  }
+
+  for (let i = pages.length - 1; i >= 0; i--) {
+    pdfDoc.removePage(i);
+  }
+
+  // Any intermediate page tree nodes are empty now, so start again from a flat tree
+  const pageTree = pdfDoc.catalog.Pages();
+  pageTree.set(PDFName.of('Kids'), pdfDoc.context.obj([]));
+  pageTree.set(PDFName.of('Count'), PDFNumber.of(0));
+
+  for (const { pageNum, rotation } of layout) {
+    const page = pages[pageNum - 1];
+    if (!page) {
+      throw new Error(`Page ${pageNum} does not exist`);
+    }
+    const angle = (((page.getRotation().angle + rotation) % 360) + 360) % 360;
+    page.setRotation(degrees(angle));
+    pdfDoc.addPage(page);
+  }
+
+  if (layout.length < pages.length) {
+    removeUnreachableObjects(pdfDoc);
+  }
+}
+
+/**
+ * Rearrange the pages of a saved PDF
+ * @param {Uint8Array} pdfBytes - PDF bytes
+ * @param {Array} layout - Page layout
+ * @returns {Promise<Uint8Array>} - Bytes of the rearranged PDF
+ */
+export async function rearrangePdf(pdfBytes, layout) {
+  const pdfDoc = await window.PDFLib.PDFDocument.load(pdfBytes);
+  applyPageLayout(pdfDoc, layout);
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+/**
+ * Merge several PDFs into one, in the given order
+ * Password-protected sources are decrypted; the merged PDF is not encrypted
+ * @param {Array} sources - [{ bytes: Uint8Array, password: string }]
+ * @returns {Promise<Uint8Array>} - Bytes of the merged PDF
+ */
+export async function mergePdfs(sources) {
+  const merged = await window.PDFLib.PDFDocument.create();
+
+  for (const { bytes, password } of sources) {
+    const { pdfDoc } = await loadPdfDocument(bytes, password);
+    const pages = await merged.copyPages(pdfDoc, pdfDoc.getPageIndices());
+    pages.forEach((page) => merged.addPage(page));
+  }
+
+  return merged.save({ useObjectStreams: false });
+}
+
+/**
+ * Split a PDF into parts with the given pages
+ * @param {Uint8Array} pdfBytes - PDF to split
+ * @param {number[][]} parts - Page numbers (1-based) of each part
+ * @param {Function} finalize - Optional async transform of each part's bytes (e.g. encryption)
+ * @returns {Promise<Array>} - [{ pages, bytes }] for each part
+ */
+export async function splitPdf(pdfBytes, parts, finalize = (bytes) => bytes) {
+  const results = [];
+  for (const pages of parts) {
+    const bytes = await finalize(await rearrangePdf(pdfBytes, toLayout(pages)));
+    results.push({ pages, bytes });
+  }
+  return results;
+}
+
+/**
+ * Split a PDF into consecutive parts that are each at most `maxBytes`
+ * Each part is made as long as possible (binary search on its last page). A page that is
+ * over the limit on its own becomes a part by itself, marked `oversized`.
+ * @param {Uint8Array} pdfBytes - PDF to split
+ * @param {number} maxBytes - Maximum size of a part
+ * @param {Function} finalize - Optional async transform of each part's bytes, included in its size
+ * @returns {Promise<Array>} - [{ pages, bytes, oversized }] for each part
+ */
+export async function splitPdfBySize(pdfBytes, maxBytes, finalize = (bytes) => bytes) {
+  const pageCount = (await window.PDFLib.PDFDocument.load(pdfBytes)).getPageCount();
+  const pageRange = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+  const build = async (start, end) =>
+    finalize(await rearrangePdf(pdfBytes, toLayout(pageRange(start, end))));
+
+  const results = [];
+  let start = 1;
+  while (start <= pageCount) {
+    let bytes = await build(start, pageCount);
+    let end = pageCount;
+
+    if (bytes.length > maxBytes) {
+      // Largest end page that still fits: `fits` always fits, `tooLarge` never does
+      const first = await build(start, start);
+      let fits = first.length <= maxBytes ? start : start - 1;
+      let tooLarge = pageCount;
+      bytes = first;
+      while (fits >= start && tooLarge - fits > 1) {
+        const middle = Math.floor((fits + tooLarge) / 2);
+        const candidate = await build(start, middle);
+        if (candidate.length <= maxBytes) {
+          fits = middle;
+          bytes = candidate;
+        } else {
+          tooLarge = middle;
+        }
+      }
+      end = Math.max(fits, start);
+    }
+
+    results.push({ pages: pageRange(start, end), bytes, oversized: bytes.length > maxBytes });
+    start = end + 1;
+  }
+
+  return results;
+}
+
+/**
+ * Page layout for the given page numbers, without rotation
+ * @private
+ */
+function toLayout(pageNums) {
+  return pageNums.map((pageNum) => ({ pageNum, rotation: 0 }));
+}
@@ -0,0 +1,138 @@
+/**
+ * PDF Presets Module
+ * Named bundles of bulk optimization settings: the built-in presets from config.js plus the
+ * user's own, saved with the default preset in chrome.storage (localStorage outside the extension)
+ */
+
+import { PDF, STORAGE } from '../../config.js';
+
+// Custom preset ids are prefixed so they can't collide with the built-in ones
+const CUSTOM_PREFIX = 'custom:';
+
+/**
+ * Read values from chrome.storage, or localStorage where it isn't available
+ * @private
+ * @param {string[]} keys - Storage keys
+ * @returns {Promise<Object>} - Stored values by key (missing keys are undefined)
+ */
+function readStorage(keys) {
+  if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+    return chrome.storage.local.get(keys);
+  }
+  const result = {};
+  keys.forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) {
+      result[key] = JSON.parse(value);
+    }
+  });
+  return Promise.resolve(result);
+}
+
+/**
+ * Write values to chrome.storage, or localStorage where it isn't available
+ * @private
+ * @param {Object} values - Values by storage key
+ */
+async function writeStorage(values) {
+  if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+    await chrome.storage.local.set(values);
+    return;
+  }
+  Object.entries(values).forEach(([key, value]) => {
+    localStorage.setItem(key, JSON.stringify(value));
+  });
+}
+
+/**
+ * Check whether a preset id refers to a user preset
+ * @param {string} id - Preset id
+ * @returns {boolean} - True for custom presets
+ */
+export function isCustomPreset(id) {
+  return typeof id === 'string' && id.startsWith(CUSTOM_PREFIX);
+}
+
+/**
+ * Load the built-in and custom presets and the default preset id
+ * @returns {Promise<Object>} - { presets, defaultPreset } where presets is a list of
+ *   { id, name, custom, settings } and defaultPreset is an id or null
+ */
+export async function loadPdfPresets() {
+  const presets = Object.entries(PDF.PRESETS).map(([id, { name, ...settings }]) => ({
+    id,
+    name,
+    custom: false,
+    settings,
+  }));
+
+  try {
+    const stored = await readStorage([STORAGE.PDF_CUSTOM_PRESETS, STORAGE.PDF_DEFAULT_PRESET]);
+    const custom = stored[STORAGE.PDF_CUSTOM_PRESETS] || {};
+    Object.keys(custom)
+      .sort((a, b) => a.localeCompare(b))
+      .forEach((name) => {
+        presets.push({ id: CUSTOM_PREFIX + name, name, custom: true, settings: custom[name] });
+      });
+
+    const defaultPreset = stored[STORAGE.PDF_DEFAULT_PRESET] || null;
+    return {
+      presets,
+      defaultPreset: presets.some((preset) => preset.id === defaultPreset) ? defaultPreset : null,
+    };
+  } catch (error) {
+    console.warn('Could not load saved PDF presets, using the built-in ones:', error);
+    return { presets, defaultPreset: null };
+  }
+}
+
+/**
+ * Save settings as a custom preset, replacing any custom preset with the same name
+ * @param {string} name - Preset name
+ * @param {Object} settings - Bulk optimization settings
+ * @returns {Promise<string>} - Id of the saved preset
+ */
+export async function saveCustomPreset(name, settings) {
+  try {
+    const stored = await readStorage([STORAGE.PDF_CUSTOM_PRESETS]);
+    const custom = { ...stored[STORAGE.PDF_CUSTOM_PRESETS], [name]: settings };
+    await writeStorage({ [STORAGE.PDF_CUSTOM_PRESETS]: custom });
+    return CUSTOM_PREFIX + name;
+  } catch (error) {
+    console.error('Error saving PDF preset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a custom preset, clearing the default if it was the default
+ * @param {string} id - Custom preset id
+ */
+export async function deleteCustomPreset(id) {
+  try {
+    const stored = await readStorage([STORAGE.PDF_CUSTOM_PRESETS, STORAGE.PDF_DEFAULT_PRESET]);
+    const custom = { ...stored[STORAGE.PDF_CUSTOM_PRESETS] };
+    delete custom[id.slice(CUSTOM_PREFIX.length)];
+    const values = { [STORAGE.PDF_CUSTOM_PRESETS]: custom };
+    if (stored[STORAGE.PDF_DEFAULT_PRESET] === id) {
+      values[STORAGE.PDF_DEFAULT_PRESET] = null;
+    }
+    await writeStorage(values);
+  } catch (error) {
+    console.error('Error deleting PDF preset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set the preset applied when the editor opens
+ * @param {string|null} id - Preset id, or null for no default
+ */
+export async function setDefaultPreset(id) {
+  try {
+    await writeStorage({ [STORAGE.PDF_DEFAULT_PRESET]: id });
+  } catch (error) {
+    console.error('Error saving default PDF preset:', error);
+    throw error;
+  }
+}
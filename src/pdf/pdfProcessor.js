@@ -9,14 +9,30 @@ import {
   extractText,
   getResolvedPDFJS,
 } from '../../unpdf.bundle.mjs';
+import { PDF } from '../../config.js';
+import { findInlineImages } from './pdfContent.js';
+import { getPageContentSizes } from './pdfInspector.js';
+import { toObjectId } from './pdfObjectIds.js';
+import { loadPdfDocument } from './pdfSecurity.js';
+
+const RGB_CHANNELS = 3;
+const RGBA_CHANNELS = 4;
+const OPAQUE_ALPHA = 255;
+const HEX_RADIX = 16;
+const PERCENT = 100;
+const HALF_TURN_DEGREES = 180;
 
 /**
  * Extract images from a PDF file
  * @param {File|ArrayBuffer} pdfData - PDF file or buffer
- * @param {string} mode - 'images' (embedded images only) or 'fullpages' (render full pages)
- * @returns {Promise<Array>} - Array of extracted images with metadata
+ * @param {string} mode - 'images' (embedded images only), 'fullpages' (render full pages) or
+ *   'hybrid' (render only the pages that are smaller as an image, see extractHybrid)
+ * @param {string} password - Password for encrypted PDFs
+ * @param {Object} options - Hybrid mode: { dpi, quality } of the rendered pages
+ * @returns {Promise<Array>} - Array of extracted images with metadata; in Hybrid mode, the
+ *   flattened pages are the rendered pages marked `flattened`
  */
-export async function extractPdfImages(pdfData, mode = 'images') {
+export async function extractPdfImages(pdfData, mode = 'images', password = '', options = {}) {
   try {
     // Convert File to ArrayBuffer if needed
     let buffer;
@@ -28,10 +44,12 @@ export async function extractPdfImages(pdfData, mode = 'images') {
 
     if (mode === 'images') {
       // Extract embedded images using unpdf
-      return await extractEmbeddedImages(buffer);
+      return await extractEmbeddedImages(buffer, password);
     } else if (mode === 'fullpages') {
       // Render full pages as images
-      return await renderPdfPages(buffer);
+      return await renderPdfPages(buffer, password, { withText: true });
+    } else if (mode === 'hybrid') {
+      return await extractHybrid(buffer, password, options);
     } else {
       throw new Error(`Unknown extraction mode: ${mode}`);
     }
@@ -45,13 +63,21 @@ export async function extractPdfImages(pdfData, mode = 'images') {
  * Extract embedded images from PDF using unpdf
  * @private
  */
-async function extractEmbeddedImages(buffer) {
+async function extractEmbeddedImages(buffer, password) {
   try {
+    // Read stored image streams first - pdf.js may take ownership of the buffer
+    const storedStreams = await readStoredImageStreams(buffer);
+    const inlineImagesByPage = await readInlineImages(buffer, password);
+
     // Get document proxy first
-    const pdf = await getDocumentProxy(buffer);
+    const pdf = await getDocumentProxy(buffer, { password });
     const allImages = [];
     let imageIndex = 0;
 
+    // Gallery entries by decoded content, so the same image embedded as separate
+    // objects (e.g. a logo repeated on every page) is listed and optimized once
+    const imagesByContent = new Map();
+
     // Extract images from each page
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
       const page = await pdf.getPage(pageNum);
@@ -77,7 +103,8 @@ async function extractEmbeddedImages(buffer) {
       const { OPS } = await getResolvedPDFJS();
 
       // Track which objects we've already extracted to avoid duplicates
-      const extractedObjects = new Set();
+      // (maps object name to its gallery entry so repeat placements can update it)
+      const extractedObjects = new Map();
 
       // Track current transformation matrix for Form XObjects
       const transformStack = [[1, 0, 0, 1, 0, 0]]; // Identity matrix
@@ -99,6 +126,31 @@ async function extractEmbeddedImages(buffer) {
       // Track the last dependency name (might be used for Form XObjects)
       let lastDependencyName = null;
 
+      // Inline images of the page's content streams, matched to pdf.js's images in painting
+      // order by their size (pdf.js has no object id for them). Image masks aren't extracted.
+      const pageInlineImages = (inlineImagesByPage[pageNum - 1] || []).filter(
+        (image) => !image.imageMask
+      );
+      let nextInlineImage = 0;
+      let inlineImageCount = 0;
+      const inlineImageNames = new Set();
+      const addInlineImage = (entry, width, height) => {
+        const pos = pageInlineImages.findIndex(
+          (image, i) => i >= nextInlineImage && image.width === width && image.height === height
+        );
+        if (pos === -1) {
+          return;
+        }
+        nextInlineImage = pos + 1;
+        const location = pageInlineImages[pos];
+        const known = entry.inlineImages.some(
+          (image) => image.streamRef === location.streamRef && image.index === location.index
+        );
+        if (!known) {
+          entry.inlineImages.push(location);
+        }
+      };
+
       // Find image operations (XObject images, inline images, and Form XObjects)
       for (let i = 0; i < ops.fnArray.length; i++) {
         const opCode = ops.fnArray[i];
@@ -123,17 +175,20 @@ async function extractEmbeddedImages(buffer) {
           }
         } else if (opCode === OPS.transform) {
           // Multiply current transform with new transform
-          const [a, b, c, d, e, f] = args;
-          const [a0, b0, c0, d0, e0, f0] = currentTransform;
-          currentTransform = [
-            a * a0 + b * c0,
-            a * b0 + b * d0,
-            c * a0 + d * c0,
-            c * b0 + d * d0,
-            e * a0 + f * c0 + e0,
-            e * b0 + f * d0 + f0,
-          ];
+          currentTransform = multiplyTransform(args, currentTransform);
           transformStack[transformStack.length - 1] = currentTransform;
+        } else if (opCode === OPS.paintFormXObjectBegin) {
+          // Form XObjects save the graphics state and apply their own matrix (args[0])
+          transformStack.push(
+            args[0] ? multiplyTransform(args[0], currentTransform) : [...currentTransform]
+          );
+          currentTransform = transformStack[transformStack.length - 1];
+        } else if (opCode === OPS.paintFormXObjectEnd) {
+          // Form XObjects implicitly save the graphics state when they begin
+          if (transformStack.length > 1) {
+            transformStack.pop();
+            currentTransform = transformStack[transformStack.length - 1];
+          }
         } else if (opCode === OPS.constructPath) {
           // constructPath defines a path that might be used for clipping
           // args[0] contains path operations (array of operation codes)
@@ -205,8 +260,12 @@ async function extractEmbeddedImages(buffer) {
                   originalSize: estimateDataURLSize(dataURL),
                   width,
                   height,
+                  originalWidth: width,
+                  originalHeight: height,
                   pageNum,
                   imageName: `page-${pageNum}-shading-${shadingIndex}`,
+                  // Cropped from the rendered page, so there is no image in the PDF to replace
+                  renderedFrom: 'shading',
                   isOptimized: false,
                   optimizedDataURL: null,
                   optimizedSize: 0,
@@ -255,6 +314,9 @@ async function extractEmbeddedImages(buffer) {
           if (opCode === OPS.paintFormXObjectBegin) {
             // Try args[1] first, fall back to last dependency if null
             actualImageName = args[1] || lastDependencyName;
+          } else if (opCode === OPS.paintInlineImageXObject) {
+            // Small inline images come with their decoded pixels (args[0]) instead of a name
+            actualImageName = `inline-${inlineImageCount++}`;
           } else {
             actualImageName = imageName; // Regular image name from args[0]
           }
@@ -271,47 +333,108 @@ async function extractEmbeddedImages(buffer) {
           // Use actualImageName from here on
           const finalImageName = actualImageName;
 
-          // Skip if we've already extracted this object
+          // Skip if we've already extracted this object, but keep the lowest
+          // effective resolution when an image is placed more than once
           if (extractedObjects.has(finalImageName)) {
+            const existing = extractedObjects.get(finalImageName);
+            if (opCode === OPS.paintImageXObject) {
+              updateEffectiveDpi(existing, currentTransform, existing.width, existing.height);
+            }
+            // pdf.js reuses the object of a repeated inline image, but it's stored again
+            if (inlineImageNames.has(finalImageName)) {
+              addInlineImage(existing, existing.originalWidth, existing.originalHeight);
+            }
             continue;
           }
 
           try {
+            const isInlineData = opCode === OPS.paintInlineImageXObject;
+
             // Check if object exists (defensive check)
-            if (page.objs.has && !page.objs.has(finalImageName)) {
+            if (!isInlineData && page.objs.has && !page.objs.has(finalImageName)) {
               continue;
             }
 
             // Get the image or form object (now loaded after rendering)
-            const obj = page.objs.get(finalImageName);
+            const obj = isInlineData ? args[0] : page.objs.get(finalImageName);
 
-            if (obj && obj.bitmap) {
-              // Raster image with bitmap
+            if (obj && (obj.bitmap || (isInlineData && obj.data))) {
+              // Raster image with bitmap, or an inline image's RGBA pixels
               const extractCanvas = document.createElement('canvas');
               extractCanvas.width = obj.width;
               extractCanvas.height = obj.height;
               const ctx = extractCanvas.getContext('2d', { alpha: true });
               ctx.clearRect(0, 0, extractCanvas.width, extractCanvas.height);
-              ctx.drawImage(obj.bitmap, 0, 0);
+              if (obj.bitmap) {
+                ctx.drawImage(obj.bitmap, 0, 0);
+              } else {
+                ctx.putImageData(toRgbaImageData(obj), 0, 0);
+              }
+
+              // Images without an object id are inline images (BI ... EI)
+              const isInline = !obj.ref;
+              if (isInline) {
+                inlineImageNames.add(finalImageName);
+              }
+
+              const contentHash = await hashImageData(
+                ctx.getImageData(0, 0, extractCanvas.width, extractCanvas.height)
+              );
+              const duplicate = imagesByContent.get(contentHash);
+              if (duplicate) {
+                if (!duplicate.pages.includes(pageNum)) {
+                  duplicate.pages.push(pageNum);
+                }
+                if (obj.ref && !duplicate.objectRefs.includes(obj.ref)) {
+                  duplicate.objectRefs.push(obj.ref);
+                }
+                if (isInline) {
+                  addInlineImage(duplicate, obj.width, obj.height);
+                }
+                updateEffectiveDpi(duplicate, currentTransform, obj.width, obj.height);
+                extractedObjects.set(finalImageName, duplicate);
+                console.log(
+                  `Image "${finalImageName}" on page ${pageNum} duplicates ${duplicate.imageName}`
+                );
+                continue;
+              }
 
               // Export as PNG to preserve transparency
               const dataURL = extractCanvas.toDataURL('image/png', 1.0);
 
-              allImages.push({
+              const entry = {
                 index: imageIndex++,
                 dataURL,
                 originalSize: estimateDataURLSize(dataURL),
                 width: obj.width,
                 height: obj.height,
+                originalWidth: obj.width,
+                originalHeight: obj.height,
                 pageNum,
+                // Every page the image appears on (more than one when duplicates were merged)
+                pages: [pageNum],
                 imageName: `page-${pageNum}-${finalImageName}`,
+                contentHash,
+                // PDF objects holding this image (e.g. "12R"), used to write it back on save
+                objectRefs: obj.ref ? [obj.ref] : [],
+                // Inline images holding this image (see pdfContent.js), also written back
+                inlineImages: [],
                 isOptimized: false,
                 optimizedDataURL: null,
                 optimizedSize: 0,
-              });
+              };
+              if (isInline) {
+                addInlineImage(entry, obj.width, obj.height);
+              }
+
+              // Resolution of the image as placed on the page
+              entry.effectiveDpi = getEffectiveDpi(currentTransform, obj.width, obj.height);
+
+              allImages.push(entry);
+              imagesByContent.set(contentHash, entry);
 
               // Mark this object as extracted
-              extractedObjects.add(finalImageName);
+              extractedObjects.set(finalImageName, entry);
             } else if (opCode === OPS.paintFormXObjectBegin) {
               // Form XObject (vector graphics) - extract from rendered page
               try {
@@ -333,10 +456,11 @@ async function extractEmbeddedImages(buffer) {
                   }
                 }
 
-                // Apply current transform to get actual dimensions on page
+                // Apply current transform (which includes the form matrix) to get the size on
+                // the page, then the viewport scale to get the size on the rendered canvas
                 const [a, b, c, d, e, f] = currentTransform;
-                const transformedWidth = Math.abs(a * width);
-                const transformedHeight = Math.abs(d * height);
+                const transformedWidth = Math.hypot(a, b) * width * viewport.scale;
+                const transformedHeight = Math.hypot(c, d) * height * viewport.scale;
                 const x = e * viewport.scale;
                 const y = viewport.height - f * viewport.scale - transformedHeight;
 
@@ -362,25 +486,35 @@ async function extractEmbeddedImages(buffer) {
 
                   const dataURL = extractCanvas.toDataURL('image/png', 1.0);
 
-                  allImages.push({
+                  const entry = {
                     index: imageIndex++,
                     dataURL,
                     originalSize: estimateDataURLSize(dataURL),
                     width: transformedWidth,
                     height: transformedHeight,
+                    originalWidth: transformedWidth,
+                    originalHeight: transformedHeight,
                     pageNum,
                     imageName: `page-${pageNum}-form-${finalImageName}`,
+                    renderedFrom: 'form',
+                    // Resolution of the rendered crop, measured like placed images
+                    effectiveDpi: getEffectiveDpi(
+                      [a * width, b * width, c * height, d * height],
+                      transformedWidth,
+                      transformedHeight
+                    ),
                     isOptimized: false,
                     optimizedDataURL: null,
                     optimizedSize: 0,
-                  });
+                  };
+                  allImages.push(entry);
 
                   console.log(
                     `Extracted Form XObject "${finalImageName}" (${transformedWidth}x${transformedHeight}) from page ${pageNum}`
                   );
 
                   // Mark this object as extracted
-                  extractedObjects.add(finalImageName);
+                  extractedObjects.set(finalImageName, entry);
                 }
               } catch (formErr) {
                 console.warn(`Could not extract Form XObject "${finalImageName}":`, formErr.message);
@@ -397,6 +531,8 @@ async function extractEmbeddedImages(buffer) {
       page.cleanup();
     }
 
+    applyStoredSizes(allImages, storedStreams);
+
     return allImages;
   } catch (error) {
     console.error('Error in extractEmbeddedImages:', error);
@@ -404,24 +540,110 @@ async function extractEmbeddedImages(buffer) {
   }
 }
 
+/**
+ * Hybrid mode: flatten the pages that take less space as a compressed image
+ * Each page is rendered as a JPEG and compared with the bytes of its own content
+ * (see getPageContentSizes). Pages that save at least PDF.HYBRID_MIN_SAVING percent are
+ * returned as rendered pages marked `flattened`, followed by the embedded images of the
+ * other pages, in page order
+ * @private
+ */
+async function extractHybrid(buffer, password, { dpi = PDF.HYBRID_DPI, quality } = {}) {
+  // pdf.js takes ownership of the buffers it is given, so every pass reads its own copy
+  const bytes = new Uint8Array(buffer).slice();
+  const contentSizes = await getPageContentSizes(bytes.slice(), password);
+
+  const renderedPages = await renderPdfPages(bytes.slice().buffer, password, {
+    scale: dpi / PDF.POINTS_PER_INCH,
+    format: 'image/jpeg',
+    quality,
+    withText: true,
+  });
+
+  const flattenedPages = renderedPages.filter((page) => {
+    const contentSize = contentSizes[page.pageNum - 1];
+    return page.originalSize <= contentSize * (1 - PDF.HYBRID_MIN_SAVING / PERCENT);
+  });
+  const flattenedPageNums = new Set(flattenedPages.map((page) => page.pageNum));
+  flattenedPages.forEach((page) => {
+    page.flattened = true;
+    page.contentSize = contentSizes[page.pageNum - 1];
+  });
+
+  // Images that only appear on flattened pages disappear with the page content
+  const embeddedImages =
+    flattenedPages.length === renderedPages.length
+      ? []
+      : (await extractEmbeddedImages(bytes.slice().buffer, password)).filter((img) =>
+          (img.pages || [img.pageNum]).some((pageNum) => !flattenedPageNums.has(pageNum))
+        );
+
+  const images = [...flattenedPages, ...embeddedImages].sort((a, b) => a.pageNum - b.pageNum);
+  images.forEach((img, index) => {
+    img.index = index;
+  });
+  return images;
+}
+
+/**
+ * Render page thumbnails for the page organizer
+ * @param {File|ArrayBuffer} pdfData - PDF file or buffer
+ * @param {string} password - Password for encrypted PDFs
+ * @returns {Promise<Array>} - Rendered pages ({ pageNum, dataURL, width, height, ... })
+ */
+export async function renderPdfThumbnails(pdfData, password = '') {
+  const buffer = pdfData instanceof File ? await pdfData.arrayBuffer() : pdfData;
+  return renderPdfPages(buffer, password, { scale: PDF.THUMBNAIL_SCALE });
+}
+
+/**
+ * Render PDF pages as image files (Pages to Images export)
+ * @param {File|ArrayBuffer} pdfData - PDF file or buffer
+ * @param {Object} options - { password, dpi: resolution to render at, format: 'image/png',
+ *   'image/jpeg' or 'image/webp', quality: 0-1 for JPEG and WebP, pages: page numbers to
+ *   render (all pages if omitted) }
+ * @returns {Promise<Array>} - Rendered pages ({ pageNum, dataURL, width, height, ... })
+ */
+export async function renderPdfPagesAsImages(pdfData, options = {}) {
+  const { password = '', dpi = PDF.POINTS_PER_INCH, format, quality, pages } = options;
+  const buffer = pdfData instanceof File ? await pdfData.arrayBuffer() : pdfData;
+  // PDF user space has 72 units per inch, so scale 1 renders at 72 DPI
+  return renderPdfPages(buffer, password, {
+    scale: dpi / PDF.POINTS_PER_INCH,
+    format,
+    quality,
+    pages,
+  });
+}
+
 /**
  * Render full PDF pages as images
  * Uses PDF.js via unpdf's document proxy
+ * Options: { scale, format and quality of the image, pages: page numbers (default all),
+ *   withText: also position the page's text for the invisible text layer (see textItems) }
  * @private
  */
-async function renderPdfPages(buffer) {
+async function renderPdfPages(buffer, password, options = {}) {
+  const {
+    scale = PDF.RENDER_SCALE,
+    format = 'image/png',
+    quality = 1.0,
+    pages,
+    withText = false,
+  } = options;
   try {
     // Get PDF document proxy from unpdf
-    const pdf = await getDocumentProxy(buffer);
+    const pdf = await getDocumentProxy(buffer, { password });
     const numPages = pdf.numPages;
+    const pageNums = pages || Array.from({ length: numPages }, (_, i) => i + 1);
 
     const images = [];
 
-    for (let pageNum = 1; pageNum <= numPages; pageNum++) {
+    for (const pageNum of pageNums) {
       const page = await pdf.getPage(pageNum);
 
-      // Get viewport at scale 2 for higher quality
-      const viewport = page.getViewport({ scale: 2 });
+      // Render above 1:1 for higher quality (thumbnails use a smaller scale)
+      const viewport = page.getViewport({ scale });
 
       // Create canvas to render page
       const canvas = document.createElement('canvas');
@@ -436,7 +658,7 @@ async function renderPdfPages(buffer) {
       }).promise;
 
       // Convert canvas to data URL
-      const dataURL = canvas.toDataURL('image/png', 1.0);
+      const dataURL = canvas.toDataURL(format, quality);
 
       images.push({
         index: pageNum - 1,
@@ -444,8 +666,14 @@ async function renderPdfPages(buffer) {
         originalSize: estimateDataURLSize(dataURL),
         width: canvas.width,
         height: canvas.height,
+        originalWidth: canvas.width,
+        originalHeight: canvas.height,
         pageNum,
         imageName: `page-${pageNum}`,
+        // Text of the page in image pixels, written back as invisible text when saving
+        textItems: withText ? await getPageTextItems(page, viewport) : null,
+        // Maps PDF user space to image pixels
+        viewportTransform: viewport.transform,
         isOptimized: false,
         optimizedDataURL: null,
         optimizedSize: 0,
@@ -462,6 +690,40 @@ async function renderPdfPages(buffer) {
   }
 }
 
+/**
+ * Position a page's text runs in the pixels of the page rendered with `viewport`
+ * Returns [{ str, x, y: start of the baseline, fontSize, width, angle: degrees anticlockwise }]
+ * @private
+ */
+async function getPageTextItems(page, viewport) {
+  const textContent = await page.getTextContent();
+  const [va, vb, vc, vd, ve, vf] = viewport.transform;
+
+  return textContent.items
+    .filter((item) => item.str?.trim())
+    .map((item) => {
+      // Text matrix in viewport pixels (viewport.transform × item.transform)
+      const [a, b, c, d, e, f] = item.transform;
+      const tx = [
+        va * a + vc * b,
+        vb * a + vd * b,
+        va * c + vc * d,
+        vb * c + vd * d,
+        va * e + vc * f + ve,
+        vb * e + vd * f + vf,
+      ];
+      return {
+        str: item.str,
+        x: tx[4],
+        y: tx[5],
+        fontSize: Math.hypot(tx[2], tx[3]),
+        width: item.width * viewport.scale,
+        // Canvas y points down, so a positive b turns the text clockwise
+        angle: (Math.atan2(-tx[1], tx[0]) * HALF_TURN_DEGREES) / Math.PI,
+      };
+    });
+}
+
 /**
  * Create data URL from raw image data (Uint8Array)
  * @private
@@ -528,6 +790,168 @@ function estimateImageSize(img) {
   return img.width * img.height * 4; // RGBA
 }
 
+/**
+ * Multiply a transformation matrix into the current transformation matrix
+ * @private
+ */
+function multiplyTransform([a, b, c, d, e, f], [a0, b0, c0, d0, e0, f0]) {
+  return [
+    a * a0 + b * c0,
+    a * b0 + b * d0,
+    c * a0 + d * c0,
+    c * b0 + d * d0,
+    e * a0 + f * c0 + e0,
+    e * b0 + f * d0 + f0,
+  ];
+}
+
+/**
+ * Effective resolution (pixels per inch) of an image placed with the given CTM
+ * Images are painted into the unit square, so the CTM's axis lengths are the placed size in points
+ * @private
+ */
+function getEffectiveDpi([a, b, c, d], pixelWidth, pixelHeight) {
+  const placedWidthInches = Math.hypot(a, b) / PDF.POINTS_PER_INCH;
+  const placedHeightInches = Math.hypot(c, d) / PDF.POINTS_PER_INCH;
+  if (!placedWidthInches || !placedHeightInches) {
+    // Zero-area placement (degenerate matrix): it draws nothing, so it has no resolution
+    return null;
+  }
+  // Use the lower axis so downsampling never drops either axis below the target
+  return Math.round(Math.min(pixelWidth / placedWidthInches, pixelHeight / placedHeightInches));
+}
+
+/**
+ * Keep the lowest effective resolution of an image placed more than once
+ * Zero-area placements are skipped, so they never hide the resolution of the others
+ * @private
+ */
+function updateEffectiveDpi(entry, transform, pixelWidth, pixelHeight) {
+  const dpi = getEffectiveDpi(transform, pixelWidth, pixelHeight);
+  if (dpi) {
+    entry.effectiveDpi = entry.effectiveDpi ? Math.min(entry.effectiveDpi, dpi) : dpi;
+  }
+}
+
+/**
+ * Hash decoded pixels so identical images stored as separate objects can be merged
+ * @private
+ */
+async function hashImageData(imageData) {
+  const digest = await crypto.subtle.digest('SHA-256', imageData.data);
+  const hex = Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(HEX_RADIX).padStart(2, '0')
+  );
+  return `${imageData.width}x${imageData.height}-${hex.join('')}`;
+}
+
+/**
+ * Read the stored size and filter of every image XObject using pdf-lib
+ * Keys match pdf.js object ids ("12R", or "12R1" for generation 1)
+ * @private
+ */
+async function readStoredImageStreams(buffer) {
+  const storedStreams = new Map();
+  if (!window.PDFLib) {
+    console.warn('pdf-lib not loaded, image sizes will be estimated');
+    return storedStreams;
+  }
+
+  try {
+    const { PDFDocument, PDFName, PDFRawStream } = window.PDFLib;
+    const pdfDoc = await PDFDocument.load(new Uint8Array(buffer), { ignoreEncryption: true });
+
+    for (const [ref, obj] of pdfDoc.context.enumerateIndirectObjects()) {
+      if (
+        !(obj instanceof PDFRawStream) ||
+        obj.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')
+      ) {
+        continue;
+      }
+
+      // The soft mask (alpha channel) is stored separately but belongs to the image
+      const sMask = pdfDoc.context.lookup(obj.dict.get(PDFName.of('SMask')));
+      const size =
+        obj.contents.length + (sMask instanceof PDFRawStream ? sMask.contents.length : 0);
+      // "/DCTDecode" or "[ /FlateDecode /DCTDecode ]" -> "DCTDecode" or "FlateDecode+DCTDecode"
+      const filter = obj.dict.get(PDFName.of('Filter'))?.toString() || 'none';
+      const filterNames = filter.match(/[\w-]+/g) || ['none'];
+
+      storedStreams.set(toObjectId(ref), {
+        size,
+        filter: filterNames.join('+'),
+      });
+    }
+  } catch (err) {
+    console.warn('Could not read stored image sizes, sizes will be estimated:', err.message);
+  }
+
+  return storedStreams;
+}
+
+/**
+ * Inline images of every page in painting order, located in their content streams
+ * (see findInlineImages)
+ * @private
+ */
+async function readInlineImages(buffer, password) {
+  if (!window.PDFLib) {
+    return [];
+  }
+
+  try {
+    const { pdfDoc } = await loadPdfDocument(new Uint8Array(buffer).slice(), password);
+    return findInlineImages(pdfDoc);
+  } catch (err) {
+    console.warn('Could not read inline images, they will not be written back:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Decoded pixels of a small inline image as ImageData
+ * pdf.js gives them as RGBA, or RGB for opaque images
+ * @private
+ */
+function toRgbaImageData({ width, height, data }) {
+  const pixelCount = width * height;
+  if (data.length === pixelCount * RGBA_CHANNELS) {
+    return new ImageData(new Uint8ClampedArray(data), width, height);
+  }
+
+  const rgba = new Uint8ClampedArray(pixelCount * RGBA_CHANNELS);
+  for (let i = 0; i < pixelCount; i++) {
+    const source = i * RGB_CHANNELS;
+    const target = i * RGBA_CHANNELS;
+    rgba[target] = data[source];
+    rgba[target + 1] = data[source + 1];
+    rgba[target + 2] = data[source + 2];
+    rgba[target + RGB_CHANNELS] = OPAQUE_ALPHA; // Alpha follows the color channels
+  }
+  return new ImageData(rgba, width, height);
+}
+
+/**
+ * Replace estimated sizes with the stored stream sizes of the objects and inline images each
+ * image came from
+ * @private
+ */
+function applyStoredSizes(images, storedStreams) {
+  for (const img of images) {
+    const streams = [
+      ...(img.objectRefs || []).map((ref) => storedStreams.get(ref)),
+      // Inline image locations carry their stored size and filter
+      ...(img.inlineImages || []),
+    ];
+    if (streams.length === 0 || streams.some((stream) => !stream)) {
+      continue;
+    }
+    // Merged duplicates are all stored in the original, so their sizes add up
+    img.originalSize = streams.reduce((sum, stream) => sum + stream.size, 0);
+    img.storedFilter = streams[0].filter;
+  }
+}
+
 /**
  * Estimate data URL size
  * @private
@@ -562,10 +986,13 @@ export async function extractPdfText(pdfData) {
 
 /**
  * Get PDF metadata
+ * Throws a pdf.js PasswordException when the PDF needs a (different) password,
+ * see getPasswordErrorReason
  * @param {File|ArrayBuffer} pdfData - PDF file or buffer
- * @returns {Promise<Object>} - PDF metadata (pages, etc.)
+ * @param {string} password - Password for encrypted PDFs
+ * @returns {Promise<Object>} - PDF metadata (pages, encryption, etc.)
  */
-export async function getPdfMetadata(pdfData) {
+export async function getPdfMetadata(pdfData, password = '') {
   try {
     let buffer;
     if (pdfData instanceof File) {
@@ -574,14 +1001,29 @@ export async function getPdfMetadata(pdfData) {
       buffer = pdfData;
     }
 
-    const pdf = await getDocumentProxy(buffer);
+    const pdf = await getDocumentProxy(buffer, { password });
+    const { info } = await pdf.getMetadata();
 
     return {
       numPages: pdf.numPages,
       fingerprint: pdf.fingerprint,
+      isEncrypted: Boolean(info?.EncryptFilterName),
     };
   } catch (error) {
     console.error('Error getting PDF metadata:', error);
     throw error;
   }
 }
+
+/**
+ * Check whether an error from opening a PDF is about its password
+ * @param {Error} error - Error thrown by getPdfMetadata or extractPdfImages
+ * @returns {Promise<string|null>} - 'required', 'incorrect', or null for other errors
+ */
+export async function getPasswordErrorReason(error) {
+  if (error?.name !== 'PasswordException') {
+    return null;
+  }
+  const { PasswordResponses } = await getResolvedPDFJS();
+  return error.code === PasswordResponses.INCORRECT_PASSWORD ? 'incorrect' : 'required';
+}
@@ -0,0 +1,250 @@
+/**
+ * PDF Report Module
+ * Optimization report of a saved PDF for audit and QA: each image's dimensions, stream sizes,
+ * format and whether it was written back, the document totals and the settings used.
+ * Exported as JSON, CSV or a printable HTML page
+ */
+
+import { formatBytes, sanitizeInput } from '../../utils.js';
+
+const PERCENT = 100;
+
+/**
+ * Image columns of the CSV and HTML reports: [heading, value, value shown in HTML if different]
+ * @private
+ */
+const IMAGE_COLUMNS = [
+  ['#', (row) => row.number],
+  ['Pages', (row) => row.pages.join(' ')],
+  ['Name', (row) => row.name],
+  ['Original dimensions', (row) => `${row.originalWidth}x${row.originalHeight}`],
+  ['New dimensions', (row) => (row.newWidth ? `${row.newWidth}x${row.newHeight}` : '')],
+  ['Original size', (row) => row.originalSize, (row) => formatBytes(row.originalSize)],
+  ['New size', (row) => row.newSize, (row) => formatBytes(row.newSize)],
+  ['Original format', (row) => row.originalFormat || ''],
+  ['New format', (row) => row.newFormat || ''],
+  ['Quality', (row) => row.quality ?? ''],
+  ['Color', (row) => row.colorMode],
+  ['Matched', (row) => (row.matched ? 'yes' : 'no')],
+  ['Replaced', (row) => (row.replaced ? 'yes' : 'no')],
+  ['Notes', (row) => row.notes.join('; ')],
+  ['Warnings', (row) => row.warnings.join('; ')],
+];
+
+/**
+ * Document fields of the CSV and HTML reports: [label, value, value shown in HTML if different]
+ * @private
+ */
+const DOCUMENT_FIELDS = [
+  ['File', (doc) => doc.fileName],
+  ['Extraction mode', (doc) => doc.mode],
+  ['Original size', (doc) => doc.originalSize, (doc) => formatBytes(doc.originalSize)],
+  ['Saved size', (doc) => doc.savedSize, (doc) => formatBytes(doc.savedSize)],
+  ['Reduction (%)', (doc) => doc.reduction],
+  ['Images', (doc) => doc.imageCount],
+  ['Images replaced', (doc) => doc.replacedCount],
+  ['Images with warnings', (doc) => doc.warningCount],
+  [
+    'Image data before',
+    (doc) => doc.imagesOriginalSize,
+    (doc) => formatBytes(doc.imagesOriginalSize),
+  ],
+  ['Image data after', (doc) => doc.imagesSavedSize, (doc) => formatBytes(doc.imagesSavedSize)],
+];
+
+/**
+ * Name of the format an optimized image is stored in
+ * @private
+ */
+function getOutputFormat(img) {
+  if (img.optimizedStream) {
+    return img.optimizedStream.filter;
+  }
+  if (img.optimizedColorDataURL) {
+    return 'DCTDecode + soft mask';
+  }
+  return img.optimizedDataURL.startsWith('data:image/png') ? 'FlateDecode (PNG)' : 'DCTDecode';
+}
+
+/**
+ * Build the report of a save
+ * @param {Object} details - { fileName, originalSize, savedSize: size of the saved PDF,
+ *   mode: extraction mode, settings: settings used (name → value), images: extracted images,
+ *   results: Map of write outcomes from buildOptimizedPdf; images without an entry were
+ *   written as they are (Full Pages mode) }
+ * @returns {Object} - { generatedAt, document, settings, images }
+ */
+export function buildOptimizationReport(details) {
+  const {
+    fileName,
+    originalSize,
+    savedSize,
+    mode,
+    settings,
+    images,
+    results = new Map(),
+  } = details;
+
+  const rows = images.map((img, index) => {
+    const result = results.get(img) || {
+      matched: true,
+      replaced: !!img.optimizedDataURL,
+      warnings: [],
+    };
+    const written = result.replaced && !!img.optimizedDataURL;
+    const notes = [];
+    if (img.flattened) {
+      notes.push('Page flattened to an image');
+    }
+    if (result.merged) {
+      notes.push(
+        `Merged ${result.merged.objects} duplicate object(s) (${result.merged.references} reference(s))`
+      );
+    }
+    if (img.keptOriginal) {
+      notes.push('Re-encoding did not save enough, original kept');
+    }
+    if (img.excluded) {
+      notes.push('Excluded from optimization');
+    }
+    if (!img.optimizedDataURL && !img.keptOriginal && !img.excluded) {
+      notes.push('Not optimized');
+    }
+
+    return {
+      number: index + 1,
+      pages: img.pages || [img.pageNum],
+      name: img.imageName,
+      originalWidth: Math.round(img.originalWidth ?? img.width),
+      originalHeight: Math.round(img.originalHeight ?? img.height),
+      newWidth: written ? Math.round(img.width) : null,
+      newHeight: written ? Math.round(img.height) : null,
+      originalSize: img.originalSize,
+      newSize: written ? img.optimizedSize : img.originalSize,
+      originalFormat: img.storedFilter || null,
+      newFormat: written ? getOutputFormat(img) : null,
+      quality: written ? (img.previewQuality ?? null) : null,
+      colorMode: written ? img.colorMode || 'color' : 'color',
+      matched: result.matched,
+      replaced: result.replaced,
+      notes,
+      warnings: result.warnings,
+    };
+  });
+
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  return {
+    generatedAt: new Date().toISOString(),
+    document: {
+      fileName,
+      mode,
+      originalSize,
+      savedSize,
+      reduction: Math.round((1 - savedSize / originalSize) * PERCENT),
+      imageCount: rows.length,
+      replacedCount: rows.filter((row) => row.replaced).length,
+      warningCount: rows.filter((row) => row.warnings.length > 0).length,
+      imagesOriginalSize: sum('originalSize'),
+      imagesSavedSize: sum('newSize'),
+    },
+    settings,
+    images: rows,
+  };
+}
+
+/**
+ * Report as JSON
+ * @param {Object} report - Report from buildOptimizationReport
+ * @returns {string} - Indented JSON
+ */
+export function reportToJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Quote a CSV field when needed, and keep text that starts like a formula from being
+ * evaluated by spreadsheets (names come from the PDF)
+ * @private
+ */
+function csvField(value) {
+  if (typeof value !== 'string') {
+    return String(value ?? '');
+  }
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Report as CSV: document totals and settings as name/value rows, then one row per image,
+ * with the sections separated by blank lines
+ * @param {Object} report - Report from buildOptimizationReport
+ * @returns {string} - CSV text
+ */
+export function reportToCsv(report) {
+  const lines = [
+    ['Document', 'Value'],
+    ['Generated', report.generatedAt],
+    ...DOCUMENT_FIELDS.map(([label, value]) => [label, value(report.document)]),
+    [],
+    ['Setting', 'Value'],
+    ...Object.entries(report.settings),
+    [],
+    IMAGE_COLUMNS.map(([heading]) => heading),
+    ...report.images.map((row) => IMAGE_COLUMNS.map(([, value]) => value(row))),
+  ];
+  return lines.map((fields) => fields.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Report as a standalone HTML page for printing
+ * @param {Object} report - Report from buildOptimizationReport
+ * @returns {string} - HTML document
+ */
+export function reportToHtml(report) {
+  const text = (value) => sanitizeInput(String(value ?? '')) || '&nbsp;';
+  const fieldRows = (entries) =>
+    entries.map(([label, value]) => `<tr><th>${text(label)}</th><td>${text(value)}</td></tr>`);
+
+  const documentRows = fieldRows([
+    ['Generated', new Date(report.generatedAt).toLocaleString()],
+    ...DOCUMENT_FIELDS.map(([label, value, display = value]) => [label, display(report.document)]),
+  ]);
+  const settingRows = fieldRows(Object.entries(report.settings));
+  const imageRows = report.images.map((row) => {
+    const cells = IMAGE_COLUMNS.map(
+      ([, value, display = value]) => `<td>${text(display(row))}</td>`
+    ).join('');
+    return `<tr${row.warnings.length > 0 ? ' class="warning"' : ''}>${cells}</tr>`;
+  });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Optimization report - ${text(report.document.fileName)}</title>
+<style>
+  body { font: 12px/1.4 system-ui, sans-serif; color: #111; margin: 2rem; }
+  h1 { font-size: 18px; margin: 0 0 1rem; }
+  h2 { font-size: 14px; margin: 1.5rem 0 0.5rem; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  tr.warning td { background: #fff4e0; }
+  @page { size: landscape; }
+</style>
+</head>
+<body>
+<h1>Optimization report - ${text(report.document.fileName)}</h1>
+<h2>Document</h2>
+<table>${documentRows.join('')}</table>
+<h2>Settings</h2>
+<table>${settingRows.join('')}</table>
+<h2>Images</h2>
+<table>
+<thead><tr>${IMAGE_COLUMNS.map(([heading]) => `<th>${text(heading)}</th>`).join('')}</tr></thead>
+<tbody>${imageRows.join('')}</tbody>
+</table>
+</body>
+</html>
+`;
+}
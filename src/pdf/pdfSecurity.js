@@ -0,0 +1,698 @@
+/**
+ * PDF Security Module
+ * Standard security handler (RC4 and AES, revisions 2-6) so password-protected PDFs can be
+ * opened with pdf-lib, which can't decrypt them itself, and saved with the same protection
+ */
+
+const BYTE_MASK = 0xff;
+const BITS_PER_BYTE = 8;
+const WORD_SIZE = 4; // Bytes in a 32-bit word
+const WORD_BITS = 32;
+const UINT32_RANGE = 0x100000000;
+const HEX_RADIX = 16;
+
+// Padding string from the PDF spec, used to pad passwords for RC4 and AES-128 documents
+const PASSWORD_PADDING = hexToBytes(
+  '28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a'
+);
+
+// Security handler versions (/V) and revisions (/R) where the algorithms change
+const VERSION_CRYPT_FILTERS = 4; // Methods are given by crypt filters (/CF, /StmF, /StrF)
+const VERSION_AES256 = 5;
+const REVISION_RC4_128 = 3; // Adds the key hash and user check rounds
+const REVISION_CRYPT_FILTERS = 4; // Adds /EncryptMetadata to the key derivation
+const REVISION_AES256 = 5; // SHA-256 password hash
+const REVISION_AES256_ISO = 6; // Iterated hash of ISO 32000-2
+
+// Key lengths in bytes
+const RC4_40_KEY_LENGTH = 5; // Revision 2, and /V 1 documents
+const AES128_KEY_LENGTH = 16;
+const AES256_KEY_LENGTH = 32;
+
+const AES_BLOCK_SIZE = 16;
+const AES_SALT = new TextEncoder().encode('sAlT'); // Appended to AES-128 object keys
+const MAX_PASSWORD_BYTES = 127; // AES-256 passwords are truncated to 127 UTF-8 bytes
+const KEY_HASH_ROUNDS = 50; // MD5 rounds in the key derivation of revision 3 and later
+const USER_CHECK_ROUNDS = 20; // RC4 rounds when checking the user password (revision 3+)
+
+// /U and /O entries of AES-256 documents: a hash, a validation salt and a key salt
+const AES256_HASH_LENGTH = 32;
+const AES256_SALT_LENGTH = 8;
+
+// Revision 6 hash: at least 64 rounds, each hashing the data repeated 64 times
+const AES256_ISO_MIN_ROUNDS = 64;
+const AES256_ISO_ROUND_OFFSET = 32;
+const AES256_ISO_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+// Object keys are salted with the low 3 bytes of the object number and 2 of the generation
+const OBJECT_NUMBER_BYTES = 3;
+const GENERATION_NUMBER_BYTES = 2;
+
+/**
+ * Load a PDF with pdf-lib, decrypting it if it is password protected
+ * @param {Uint8Array} bytes - PDF bytes
+ * @param {string} password - User or owner password ('' for none)
+ * @returns {Promise<Object>} - { pdfDoc, security } where security is null for unencrypted PDFs
+ */
+export async function loadPdfDocument(bytes, password = '') {
+  const { PDFDocument } = window.PDFLib;
+
+  // Metadata updates would add unencrypted strings before decryption, so make them afterwards
+  const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+
+  let security = null;
+  if (pdfDoc.isEncrypted) {
+    security = await openSecurityHandler(pdfDoc, password);
+    await decryptDocument(pdfDoc, security);
+  }
+
+  pdfDoc.updateInfoDict();
+  return { pdfDoc, security };
+}
+
+/**
+ * Encrypt a document with the protection of another (or the same) PDF before saving
+ * The original /Encrypt dictionary and file ID are reused, so the same passwords and
+ * permissions apply. Save without object streams afterwards.
+ * @param {PDFDocument} pdfDoc - Decrypted document to protect
+ * @param {Object} security - Security handler returned by loadPdfDocument
+ */
+export async function encryptPdfDocument(pdfDoc, security) {
+  const { context } = pdfDoc;
+
+  // Write pending fonts and images first so they get encrypted too
+  await pdfDoc.flush();
+  removePdfEncryption(pdfDoc);
+
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    await transformObject(context, ref, obj, security, 'encrypt');
+  }
+
+  context.trailerInfo.Encrypt = context.register(security.encryptDict.clone(context));
+  if (security.fileId) {
+    context.trailerInfo.ID = security.fileId.clone(context);
+  }
+}
+
+/**
+ * Remove password protection so the document is saved unencrypted
+ * @param {PDFDocument} pdfDoc - Decrypted document
+ */
+export function removePdfEncryption(pdfDoc) {
+  const { PDFRef } = window.PDFLib;
+  const { context } = pdfDoc;
+
+  if (context.trailerInfo.Encrypt instanceof PDFRef) {
+    context.delete(context.trailerInfo.Encrypt);
+  }
+  context.trailerInfo.Encrypt = undefined;
+}
+
+/**
+ * Give `pdfBytes` the same password protection as `protectedBytes`
+ * Used for PDFs built from scratch (e.g. rendered pages) from an encrypted original
+ * @param {Uint8Array} pdfBytes - Unencrypted PDF
+ * @param {Uint8Array} protectedBytes - Encrypted PDF whose protection is copied
+ * @param {string} password - Password of the encrypted PDF
+ * @returns {Promise<Uint8Array>} - Encrypted PDF bytes
+ */
+export async function copyPdfProtection(pdfBytes, protectedBytes, password = '') {
+  const { PDFDocument } = window.PDFLib;
+
+  const source = await PDFDocument.load(protectedBytes, {
+    ignoreEncryption: true,
+    updateMetadata: false,
+  });
+  if (!source.isEncrypted) {
+    return pdfBytes;
+  }
+  const security = await openSecurityHandler(source, password);
+
+  const pdfDoc = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+  await encryptPdfDocument(pdfDoc, security);
+  return pdfDoc.save({ useObjectStreams: false, updateFieldAppearances: false });
+}
+
+/**
+ * Read the /Encrypt dictionary and derive the file key from the password
+ * @private
+ */
+async function openSecurityHandler(pdfDoc, password) {
+  const { PDFArray, PDFDict, PDFName } = window.PDFLib;
+  const { context } = pdfDoc;
+
+  const encryptDict = context.lookup(context.trailerInfo.Encrypt);
+  if (!(encryptDict instanceof PDFDict)) {
+    throw new Error('Invalid /Encrypt dictionary');
+  }
+
+  const get = (key) => encryptDict.lookup(PDFName.of(key));
+  const filter = get('Filter')?.toString();
+  if (filter !== '/Standard') {
+    throw new Error(`Unsupported PDF security handler: ${filter}`);
+  }
+
+  const fileId = context.lookup(context.trailerInfo.ID);
+  const cryptFilters = get('CF');
+  const version = get('V')?.asNumber() ?? 0;
+
+  // Which algorithm a crypt filter name (StmF/StrF) stands for
+  const cryptMethod = (name) => {
+    if (version < VERSION_CRYPT_FILTERS) {
+      return 'rc4';
+    }
+    const cryptFilter = name && cryptFilters instanceof PDFDict && cryptFilters.lookup(name);
+    const cfm = cryptFilter instanceof PDFDict ? cryptFilter.get(PDFName.of('CFM')) : null;
+    return { '/V2': 'rc4', '/AESV2': 'aes128', '/AESV3': 'aes256' }[cfm?.toString()] || 'none';
+  };
+
+  const streamMethod = cryptMethod(get('StmF'));
+  const security = {
+    encryptDict,
+    fileId,
+    revision: get('R')?.asNumber() ?? 0,
+    permissions: get('P')?.asNumber() ?? 0,
+    owner: get('O')?.asBytes() ?? new Uint8Array(0),
+    user: get('U')?.asBytes() ?? new Uint8Array(0),
+    ownerEncryption: get('OE')?.asBytes(),
+    userEncryption: get('UE')?.asBytes(),
+    encryptMetadata: get('EncryptMetadata')?.asBoolean?.() ?? true,
+    id: fileId instanceof PDFArray ? context.lookup(fileId.get(0)).asBytes() : new Uint8Array(0),
+    keyLength: getKeyLength(version, get('Length')?.asNumber(), streamMethod),
+    streamMethod,
+    stringMethod: cryptMethod(get('StrF')),
+  };
+
+  security.fileKey =
+    security.revision >= REVISION_AES256
+      ? await getFileKeyAes256(password, security)
+      : getFileKeyRc4(password, security);
+
+  if (!security.fileKey) {
+    throw new Error('Incorrect password for encrypted PDF');
+  }
+  return security;
+}
+
+/**
+ * Key length in bytes for the given /V and /Length
+ * @private
+ */
+function getKeyLength(version, lengthBits, streamMethod) {
+  if (version >= VERSION_AES256) {
+    return AES256_KEY_LENGTH;
+  }
+  if (streamMethod === 'aes128') {
+    return AES128_KEY_LENGTH;
+  }
+  if (version === 1 || !lengthBits) {
+    return RC4_40_KEY_LENGTH;
+  }
+  return lengthBits / BITS_PER_BYTE;
+}
+
+/**
+ * File key for revisions 2-4 (RC4 and AES-128), trying the password as user then owner password
+ * @private
+ */
+function getFileKeyRc4(password, security) {
+  const passwordBytes = Uint8Array.from(password, (char) => char.charCodeAt(0) & BYTE_MASK);
+
+  const userKey = computeFileKeyRc4(passwordBytes, security);
+  if (isUserKey(userKey, security)) {
+    return userKey;
+  }
+
+  // Owner password: the /O entry is the user password encrypted with a key derived from it
+  let hash = md5(padPassword(passwordBytes));
+  if (security.revision >= REVISION_RC4_128) {
+    for (let i = 0; i < KEY_HASH_ROUNDS; i++) {
+      hash = md5(hash);
+    }
+  }
+  const ownerKey = hash.slice(0, security.keyLength);
+
+  let userPassword = security.owner;
+  if (security.revision === 2) {
+    userPassword = rc4(ownerKey, userPassword);
+  } else {
+    for (let i = USER_CHECK_ROUNDS - 1; i >= 0; i--) {
+      userPassword = rc4(
+        ownerKey.map((byte) => byte ^ i),
+        userPassword
+      );
+    }
+  }
+
+  const ownerFileKey = computeFileKeyRc4(userPassword, security);
+  return isUserKey(ownerFileKey, security) ? ownerFileKey : null;
+}
+
+/**
+ * Algorithm 2 of the PDF spec: derive the file key from the user password
+ * @private
+ */
+function computeFileKeyRc4(passwordBytes, security) {
+  const permissions = new Uint8Array(WORD_SIZE);
+  new DataView(permissions.buffer).setInt32(0, security.permissions | 0, true);
+
+  let hash = md5(
+    concatBytes(
+      padPassword(passwordBytes),
+      security.owner,
+      permissions,
+      security.id,
+      security.revision >= REVISION_CRYPT_FILTERS && !security.encryptMetadata
+        ? new Uint8Array(WORD_SIZE).fill(BYTE_MASK)
+        : new Uint8Array(0)
+    )
+  );
+
+  if (security.revision >= REVISION_RC4_128) {
+    for (let i = 0; i < KEY_HASH_ROUNDS; i++) {
+      hash = md5(hash.slice(0, security.keyLength));
+    }
+  }
+  return hash.slice(0, security.keyLength);
+}
+
+/**
+ * Algorithms 4 and 5 of the PDF spec: check a file key against the /U entry
+ * @private
+ */
+function isUserKey(key, security) {
+  if (security.revision === 2) {
+    return bytesEqual(rc4(key, PASSWORD_PADDING), security.user);
+  }
+
+  let check = md5(concatBytes(PASSWORD_PADDING, security.id));
+  for (let i = 0; i < USER_CHECK_ROUNDS; i++) {
+    check = rc4(
+      key.map((byte) => byte ^ i),
+      check
+    );
+  }
+  return bytesEqual(check, security.user.slice(0, AES_BLOCK_SIZE));
+}
+
+/**
+ * File key for revisions 5 and 6 (AES-256), trying the password as user then owner password
+ * /U and /O hold a 32 byte hash, an 8 byte validation salt and an 8 byte key salt
+ * @private
+ */
+async function getFileKeyAes256(password, security) {
+  const passwordBytes = new TextEncoder().encode(password).slice(0, MAX_PASSWORD_BYTES);
+  const hashLength = AES256_HASH_LENGTH;
+  const saltLength = AES256_SALT_LENGTH;
+  const userData = security.user.slice(0, hashLength + 2 * saltLength);
+
+  const candidates = [
+    { entry: security.user, encryptedKey: security.userEncryption, extra: new Uint8Array(0) },
+    { entry: security.owner, encryptedKey: security.ownerEncryption, extra: userData },
+  ];
+
+  for (const { entry, encryptedKey, extra } of candidates) {
+    const validationSalt = entry.slice(hashLength, hashLength + saltLength);
+    const keySalt = entry.slice(hashLength + saltLength, hashLength + 2 * saltLength);
+
+    const hash = await hashAes256Password(passwordBytes, validationSalt, extra, security.revision);
+    if (bytesEqual(hash, entry.slice(0, hashLength))) {
+      const key = await hashAes256Password(passwordBytes, keySalt, extra, security.revision);
+      return aesCbcDecryptNoPadding(key, new Uint8Array(AES_BLOCK_SIZE), encryptedKey);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Password hash of revision 5 (SHA-256) and revision 6 (algorithm 2.B of ISO 32000-2)
+ * @private
+ */
+async function hashAes256Password(password, salt, userData, revision) {
+  const digest = async (algorithm, data) =>
+    new Uint8Array(await crypto.subtle.digest(algorithm, data));
+
+  let key = await digest('SHA-256', concatBytes(password, salt, userData));
+  if (revision < REVISION_AES256_ISO) {
+    return key;
+  }
+
+  const minRounds = AES256_ISO_MIN_ROUNDS;
+  const roundOffset = AES256_ISO_ROUND_OFFSET;
+  let encrypted = new Uint8Array(0);
+  for (let round = 0; round < minRounds || encrypted.at(-1) > round - roundOffset; round++) {
+    const block = concatBytes(password, key, userData);
+    const repeated = new Uint8Array(block.length * minRounds);
+    for (let i = 0; i < minRounds; i++) {
+      repeated.set(block, i * block.length);
+    }
+
+    encrypted = (
+      await aesCbc(
+        'encrypt',
+        key.slice(0, AES_BLOCK_SIZE),
+        key.slice(AES_BLOCK_SIZE, 2 * AES_BLOCK_SIZE),
+        repeated
+      )
+    ).slice(0, repeated.length);
+
+    const sum = encrypted.slice(0, AES_BLOCK_SIZE).reduce((total, byte) => total + byte, 0);
+    key = await digest(AES256_ISO_HASHES[sum % AES256_ISO_HASHES.length], encrypted);
+  }
+
+  return key.slice(0, 2 * AES_BLOCK_SIZE);
+}
+
+/**
+ * Decrypt every string and stream, including objects inside encrypted object streams
+ * @private
+ */
+async function decryptDocument(pdfDoc, security) {
+  const { PDFInvalidObject, PDFName, PDFObjectParser, PDFObjectStreamParser, PDFRawStream } =
+    window.PDFLib;
+  const { context } = pdfDoc;
+
+  // pdf-lib can't read encrypted object streams and keeps them as invalid objects
+  const objectStreams = [];
+  const objects = [];
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFInvalidObject) {
+      try {
+        const parsed = PDFObjectParser.forBytes(obj.data, context).parseObject();
+        if (
+          parsed instanceof PDFRawStream &&
+          parsed.dict.get(PDFName.of('Type')) === PDFName.of('ObjStm')
+        ) {
+          objectStreams.push([ref, parsed]);
+          continue;
+        }
+      } catch (err) {
+        console.warn(`Could not parse object ${ref}:`, err.message);
+      }
+    }
+    objects.push([ref, obj]);
+  }
+
+  for (const [ref, obj] of objects) {
+    await transformObject(context, ref, obj, security, 'decrypt');
+  }
+  const decrypted = objects.map(([ref]) => [ref, context.lookup(ref)]);
+
+  // Objects inside an object stream are covered by the stream's encryption
+  for (const [ref, stream] of objectStreams) {
+    const key = getObjectKey(security, ref, security.streamMethod);
+    const contents = await applyCipher(security.streamMethod, key, stream.contents, 'decrypt');
+    context.delete(ref);
+    await PDFObjectStreamParser.forStream(
+      PDFRawStream.of(stream.dict, contents)
+    ).parseIntoContext();
+  }
+
+  // Objects stored directly take precedence over older copies in object streams
+  for (const [ref, obj] of decrypted) {
+    context.assign(ref, obj);
+  }
+
+  // The catalog may only have become readable now
+  pdfDoc.catalog = context.lookup(context.trailerInfo.Root);
+}
+
+/**
+ * Encrypt or decrypt the strings and stream data of one indirect object in place
+ * @private
+ */
+async function transformObject(context, ref, obj, security, operation) {
+  const { PDFDict, PDFName, PDFRawStream, PDFStream } = window.PDFLib;
+
+  // The /Encrypt dictionary itself is never encrypted
+  if (obj === security.encryptDict) {
+    return;
+  }
+
+  const dict = obj instanceof PDFDict ? obj : obj.dict;
+  if (dict instanceof PDFDict) {
+    const stringKey = getObjectKey(security, ref, security.stringMethod);
+    await transformStrings(dict, security.stringMethod, stringKey, operation);
+  }
+
+  if (obj instanceof PDFStream) {
+    const isMetadata = obj.dict.get(PDFName.of('Type')) === PDFName.of('Metadata');
+    if (isMetadata && !security.encryptMetadata) {
+      return;
+    }
+    const streamKey = getObjectKey(security, ref, security.streamMethod);
+    const contents = await applyCipher(
+      security.streamMethod,
+      streamKey,
+      obj.getContents(),
+      operation
+    );
+    context.assign(ref, PDFRawStream.of(obj.dict, contents));
+  } else if (!(obj instanceof PDFDict)) {
+    // Indirect arrays and strings
+    const holder = context.obj({ Value: obj });
+    const stringKey = getObjectKey(security, ref, security.stringMethod);
+    await transformStrings(holder, security.stringMethod, stringKey, operation);
+    context.assign(ref, holder.get(PDFName.of('Value')));
+  }
+}
+
+/**
+ * Encrypt or decrypt every string inside a dictionary or array (recursively)
+ * Results are written as hex strings, which can hold any bytes
+ * @private
+ */
+async function transformStrings(container, method, key, operation) {
+  const { PDFArray, PDFDict, PDFHexString, PDFString } = window.PDFLib;
+  if (method === 'none') {
+    return;
+  }
+
+  const entries =
+    container instanceof PDFDict
+      ? container.entries()
+      : container.asArray().map((value, index) => [index, value]);
+
+  for (const [entryKey, value] of entries) {
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      const bytes = await applyCipher(method, key, value.asBytes(), operation);
+      container.set(entryKey, PDFHexString.of(bytesToHex(bytes)));
+    } else if (value instanceof PDFDict || value instanceof PDFArray) {
+      await transformStrings(value, method, key, operation);
+    }
+  }
+}
+
+/**
+ * Algorithm 1 of the PDF spec: the key for one object's strings and streams
+ * @private
+ */
+function getObjectKey(security, ref, method) {
+  if (method === 'aes256') {
+    return security.fileKey;
+  }
+  const hash = md5(
+    concatBytes(
+      security.fileKey,
+      toLittleEndian(ref.objectNumber, OBJECT_NUMBER_BYTES),
+      toLittleEndian(ref.generationNumber, GENERATION_NUMBER_BYTES),
+      method === 'aes128' ? AES_SALT : new Uint8Array(0)
+    )
+  );
+  const saltLength = OBJECT_NUMBER_BYTES + GENERATION_NUMBER_BYTES;
+  return hash.slice(0, Math.min(security.fileKey.length + saltLength, AES_BLOCK_SIZE));
+}
+
+/**
+ * Encrypt or decrypt data with the given method; AES data is prefixed with its IV
+ * @private
+ */
+async function applyCipher(method, key, data, operation) {
+  if (method === 'rc4') {
+    return rc4(key, data);
+  }
+  if (method !== 'aes128' && method !== 'aes256') {
+    return data;
+  }
+
+  if (operation === 'encrypt') {
+    const iv = crypto.getRandomValues(new Uint8Array(AES_BLOCK_SIZE));
+    return concatBytes(iv, await aesCbc('encrypt', key, iv, data));
+  }
+
+  if (data.length < 2 * AES_BLOCK_SIZE) {
+    // Just an IV: empty string or stream
+    return new Uint8Array(0);
+  }
+  try {
+    return await aesCbc('decrypt', key, data.slice(0, AES_BLOCK_SIZE), data.slice(AES_BLOCK_SIZE));
+  } catch (err) {
+    console.warn('Could not decrypt AES data:', err.message);
+    return data;
+  }
+}
+
+/**
+ * AES-CBC with PKCS#7 padding through the Web Crypto API
+ * @private
+ */
+async function aesCbc(operation, key, iv, data) {
+  const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, [operation]);
+  return new Uint8Array(await crypto.subtle[operation]({ name: 'AES-CBC', iv }, cryptoKey, data));
+}
+
+/**
+ * AES-CBC decryption of data without padding (the /UE and /OE entries)
+ * Web Crypto always checks the padding, so a block that decrypts to a full
+ * padding block is appended first
+ * @private
+ */
+async function aesCbcDecryptNoPadding(key, iv, data) {
+  const lastBlock = data.slice(-AES_BLOCK_SIZE);
+  const paddingBlock = new Uint8Array(AES_BLOCK_SIZE).fill(AES_BLOCK_SIZE);
+  const extraBlock = (await aesCbc('encrypt', key, lastBlock, paddingBlock)).slice(
+    0,
+    AES_BLOCK_SIZE
+  );
+  return aesCbc('decrypt', key, iv, concatBytes(data, extraBlock));
+}
+
+/**
+ * RC4 stream cipher (encryption and decryption are the same operation)
+ * @private
+ */
+function rc4(key, data) {
+  const stateSize = 256;
+  const state = new Uint8Array(stateSize).map((_, i) => i);
+  for (let i = 0, j = 0; i < stateSize; i++) {
+    j = (j + state[i] + key[i % key.length]) & BYTE_MASK;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = new Uint8Array(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & BYTE_MASK;
+    j = (j + state[i]) & BYTE_MASK;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & BYTE_MASK];
+  }
+  return output;
+}
+
+// MD5 (RFC 1321): each round mixes the state with its own function, rotates by its four shift
+// amounts in turn, and at step i reads message word (wordStep * i + wordStart) mod 16
+const MD5_ROUNDS = [
+  { mix: (b, c, d) => (b & c) | (~b & d), shifts: '7 12 17 22', wordStep: 1, wordStart: 0 },
+  { mix: (b, c, d) => (d & b) | (~d & c), shifts: '5 9 14 20', wordStep: 5, wordStart: 1 },
+  { mix: (b, c, d) => b ^ c ^ d, shifts: '4 11 16 23', wordStep: 3, wordStart: 5 },
+  { mix: (b, c, d) => c ^ (b | ~d), shifts: '6 10 15 21', wordStep: 7, wordStart: 0 },
+].map((round) => ({ ...round, shifts: round.shifts.split(' ').map(Number) }));
+const MD5_BLOCK_SIZE = 64;
+const MD5_WORDS_PER_BLOCK = MD5_BLOCK_SIZE / WORD_SIZE;
+const MD5_STEPS = 64;
+const MD5_STEPS_PER_ROUND = MD5_STEPS / MD5_ROUNDS.length;
+const MD5_LENGTH_SIZE = 8; // Message length in bits, stored after the padding
+const MD5_PADDING_START = 0x80;
+// Initial state words A-D, low-order bytes first, which is also the layout of the digest
+const MD5_INITIAL_STATE = hexToBytes('0123456789abcdeffedcba9876543210');
+// Sine-derived constant added at each step
+const MD5_CONSTANTS = Array.from(
+  { length: MD5_STEPS },
+  (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * UINT32_RANGE) >>> 0
+);
+
+/**
+ * MD5 digest (not available in the Web Crypto API)
+ * @private
+ */
+function md5(data) {
+  const paddedLength =
+    Math.ceil((data.length + 1 + MD5_LENGTH_SIZE) / MD5_BLOCK_SIZE) * MD5_BLOCK_SIZE;
+  const padded = new Uint8Array(paddedLength);
+  padded.set(data);
+  padded[data.length] = MD5_PADDING_START;
+  const view = new DataView(padded.buffer);
+  const bitLength = data.length * BITS_PER_BYTE;
+  view.setUint32(paddedLength - MD5_LENGTH_SIZE, bitLength >>> 0, true);
+  view.setUint32(paddedLength - WORD_SIZE, Math.floor(bitLength / UINT32_RANGE), true);
+
+  const digest = MD5_INITIAL_STATE.slice();
+  const state = new DataView(digest.buffer);
+  const stateWords = MD5_INITIAL_STATE.length / WORD_SIZE;
+  for (let offset = 0; offset < paddedLength; offset += MD5_BLOCK_SIZE) {
+    let [a, b, c, d] = Array.from({ length: stateWords }, (_, i) =>
+      state.getInt32(i * WORD_SIZE, true)
+    );
+    for (let i = 0; i < MD5_STEPS; i++) {
+      const { mix, shifts, wordStep, wordStart } = MD5_ROUNDS[Math.floor(i / MD5_STEPS_PER_ROUND)];
+      const wordIndex = (wordStep * i + wordStart) % MD5_WORDS_PER_BLOCK;
+      const word = view.getUint32(offset + wordIndex * WORD_SIZE, true);
+      const sum = (a + mix(b, c, d) + MD5_CONSTANTS[i] + word) | 0;
+      const shift = shifts[i % shifts.length];
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (WORD_BITS - shift)))) | 0;
+    }
+    [a, b, c, d].forEach((word, i) => {
+      state.setInt32(i * WORD_SIZE, (state.getInt32(i * WORD_SIZE, true) + word) | 0, true);
+    });
+  }
+
+  return digest;
+}
+
+/**
+ * Pad or truncate a password to 32 bytes with the standard padding string
+ * @private
+ */
+function padPassword(passwordBytes) {
+  const padded = new Uint8Array(PASSWORD_PADDING.length);
+  const length = Math.min(passwordBytes.length, padded.length);
+  padded.set(passwordBytes.slice(0, length));
+  padded.set(PASSWORD_PADDING.slice(0, padded.length - length), length);
+  return padded;
+}
+
+/**
+ * @private
+ */
+function concatBytes(...arrays) {
+  const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Low-order bytes of an integer, least significant first
+ * @private
+ */
+function toLittleEndian(value, length) {
+  return Uint8Array.from({ length }, (_, i) => (value >> (i * BITS_PER_BYTE)) & BYTE_MASK);
+}
+
+/**
+ * @private
+ */
+function hexToBytes(hex) {
+  return Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, HEX_RADIX));
+}
+
+/**
+ * @private
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(HEX_RADIX).padStart(2, '0')).join('');
+}
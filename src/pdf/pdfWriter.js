@@ -0,0 +1,631 @@
+/**
+ * PDF Writer Module using pdf-lib and jsPDF
+ * Rebuilds PDFs from the extracted (and optionally optimized) images
+ */
+
+import { PDF } from '../../config.js';
+import { cleanupPdf, removeUnreachableObjects } from './pdfCleanup.js';
+import { replaceInlineImages } from './pdfContent.js';
+import { parseObjectRef } from './pdfObjectIds.js';
+import { applyPageLayout } from './pdfPages.js';
+import { encryptPdfDocument, loadPdfDocument, removePdfEncryption } from './pdfSecurity.js';
+
+// Why images cropped from the rendered page (see renderedFrom) can't be written back
+const NOT_STORED_REASONS = {
+  shading: 'Gradient (shading) drawn by the PDF, not stored as an image, so it is not written back',
+  form: 'Vector graphics (Form XObject) rendered from the page, not stored as an image, so it is not written back',
+};
+
+/**
+ * Rebuild the original PDF with optimized images, preserving text and vectors
+ * Each optimized image replaces the PDF object it was extracted from (see objectRefs), including
+ * objects drawn by Form XObjects, and the inline images it was found as (see inlineImages)
+ * @param {Uint8Array} originalBytes - Bytes of the original PDF
+ * @param {Array} images - Extracted images (only those with an optimizedDataURL are written)
+ * @param {Object} options - { cleanup: run the lossless cleanup pass, stripXmp: also remove XMP,
+ *   password: password of an encrypted PDF, keepEncryption: save with the original protection,
+ *   pageLayout: pages to write, in order, with their rotation (see pdfPages.js),
+ *   flattenedPages: rendered pages that replace the content of their page (Hybrid mode),
+ *   results: optional Map that receives the outcome of each image as { matched: found in the
+ *   PDF, replaced: optimized data written, warnings: problems writing it, or why it can't be
+ *   written back, merged: { objects, references } when duplicate objects of the image were
+ *   merged into one } }
+ * @returns {Promise<Uint8Array>} - Bytes of the rebuilt PDF
+ */
+export async function buildOptimizedPdf(originalBytes, images, options = {}) {
+  // Verify pdf-lib is loaded
+  if (!window.PDFLib) {
+    throw new Error(
+      'pdf-lib library not loaded. Make sure pdf-lib.min.js is in your extension folder.'
+    );
+  }
+
+  // Verify we have the original PDF bytes
+  if (!originalBytes || originalBytes.length === 0) {
+    throw new Error('Original PDF data not available');
+  }
+
+  // Load (and decrypt) the PDF - we'll modify it in place at the object level
+  const { pdfDoc, security } = await loadPdfDocument(originalBytes, options.password);
+
+  // Duplicate objects of the same image are redirected to the first one,
+  // so every placement shares a single (optimized) stream
+  const duplicateRefs = new Map();
+  const primaryRefs = new Map();
+  const inlineReplacements = [];
+  const results = options.results || new Map();
+
+  for (const img of images) {
+    const result = {
+      matched: !!(img.objectRefs?.length || img.inlineImages?.length || img.flattened),
+      replaced: false,
+      warnings: [],
+    };
+    results.set(img, result);
+    if (!result.matched) {
+      result.warnings.push(
+        NOT_STORED_REASONS[img.renderedFrom] || 'Not found in the PDF, so it is not written back'
+      );
+    }
+
+    if (img.inlineImages?.length && img.optimizedDataURL) {
+      try {
+        const inlineImage = await encodeInlineImageData(pdfDoc, img);
+        img.inlineImages.forEach(({ streamRef, index }) =>
+          inlineReplacements.push({ streamRef, index, img, ...inlineImage })
+        );
+      } catch (err) {
+        console.warn(`Could not encode inline image "${img.imageName}":`, err);
+        result.warnings.push(`Could not encode the inline image: ${err.message}`);
+      }
+    }
+
+    if (!img.objectRefs?.length) {
+      continue;
+    }
+    try {
+      const [primaryRef, ...otherRefs] = img.objectRefs.map(parseObjectRef);
+      otherRefs.forEach((ref) => duplicateRefs.set(ref, primaryRef));
+      if (otherRefs.length > 0) {
+        primaryRefs.set(img, primaryRef);
+        result.merged = { objects: otherRefs.length, references: 0 };
+      }
+
+      if (img.optimizedDataURL) {
+        if (await replaceImageObject(pdfDoc, primaryRef, img)) {
+          result.replaced = true;
+        } else {
+          result.warnings.push(`Object ${img.objectRefs[0]} is not an image XObject`);
+        }
+      }
+    } catch (err) {
+      console.warn(`Could not replace image "${img.imageName}" (${img.objectRefs}):`, err);
+      result.warnings.push(`Could not replace the image object: ${err.message}`);
+    }
+  }
+
+  if (duplicateRefs.size > 0) {
+    const redirected = redirectXObjectRefs(pdfDoc, duplicateRefs);
+    primaryRefs.forEach((ref, img) => {
+      results.get(img).merged.references = redirected.get(ref) || 0;
+    });
+  }
+
+  if (inlineReplacements.length > 0) {
+    const replaced = replaceInlineImages(pdfDoc, inlineReplacements);
+    inlineReplacements.forEach((replacement) => {
+      const result = results.get(replacement.img);
+      if (replaced.includes(replacement)) {
+        result.replaced = true;
+      } else {
+        result.warnings.push(`Inline image ${replacement.index} not found in its content stream`);
+      }
+    });
+  }
+
+  if (options.flattenedPages?.length) {
+    await flattenPages(pdfDoc, options.flattenedPages);
+    options.flattenedPages.forEach((page) => {
+      const result = results.get(page);
+      if (result) {
+        result.replaced = true;
+      }
+    });
+  }
+
+  if (options.pageLayout) {
+    applyPageLayout(pdfDoc, options.pageLayout);
+  }
+
+  if (options.cleanup) {
+    cleanupPdf(pdfDoc, { stripXmp: options.stripXmp });
+  }
+
+  if (security && options.keepEncryption) {
+    await encryptPdfDocument(pdfDoc, security);
+  } else {
+    removePdfEncryption(pdfDoc);
+  }
+
+  return pdfDoc.save({
+    useObjectStreams: false, // Disable object streams for better compatibility
+  });
+}
+
+/**
+ * Build a new PDF with one rendered page image per page (Full Pages mode)
+ * Pages with textItems get an invisible text layer, so the text can still be searched and copied
+ * @param {Array} images - Rendered pages (optimizedDataURL is used when present)
+ * @returns {Blob} - The generated PDF
+ */
+export function buildRasterizedPdf(images) {
+  if (!window.jspdf || !window.jspdf.jsPDF) {
+    throw new Error('jsPDF library not loaded.');
+  }
+
+  const { jsPDF } = window.jspdf;
+  const pdf = new jsPDF({
+    orientation: 'portrait',
+    unit: 'px',
+    format: [images[0].width, images[0].height],
+  });
+
+  // Add first page
+  const firstImg = images[0];
+  const imgData = firstImg.optimizedDataURL || firstImg.dataURL;
+  pdf.addImage(imgData, 'PNG', 0, 0, firstImg.width, firstImg.height);
+  addInvisibleText(pdf, firstImg);
+
+  // Add remaining pages
+  for (let i = 1; i < images.length; i++) {
+    const img = images[i];
+    const pageImgData = img.optimizedDataURL || img.dataURL;
+    pdf.addPage([img.width, img.height], img.width > img.height ? 'landscape' : 'portrait');
+    pdf.addImage(pageImgData, 'PNG', 0, 0, img.width, img.height);
+    addInvisibleText(pdf, img);
+  }
+
+  return pdf.output('blob');
+}
+
+/**
+ * Build a new PDF with one image per page (Images to PDF)
+ * @param {Array} images - [{ bytes: Uint8Array, format: 'image/jpeg'|'image/png', width, height }]
+ * @param {Object} options - { pageSize: 'a4'|'letter'|'fit' (page sized to the image),
+ *   orientation: 'auto'|'portrait'|'landscape' ('auto' follows each image), margin: in points,
+ *   fit: 'fit' (whole image visible) or 'fill' (page area covered, image cropped) }
+ * @returns {Promise<Uint8Array>} - Bytes of the new PDF
+ */
+export async function buildImagesPdf(images, options = {}) {
+  const { PDFDocument, clip, endPath, popGraphicsState, pushGraphicsState, rectangle } =
+    window.PDFLib;
+  const { pageSize = 'a4', orientation = 'auto', margin = 0, fit = 'fit' } = options;
+
+  const pdfDoc = await PDFDocument.create();
+
+  for (const img of images) {
+    const embedded =
+      img.format === 'image/png'
+        ? await pdfDoc.embedPng(img.bytes)
+        : await pdfDoc.embedJpg(img.bytes);
+
+    // Natural size of the image in points
+    const imageWidth = (img.width * PDF.POINTS_PER_INCH) / PDF.COMPOSE_IMAGE_DPI;
+    const imageHeight = (img.height * PDF.POINTS_PER_INCH) / PDF.COMPOSE_IMAGE_DPI;
+
+    let pageWidth;
+    let pageHeight;
+    if (pageSize === 'fit') {
+      pageWidth = imageWidth + 2 * margin;
+      pageHeight = imageHeight + 2 * margin;
+    } else {
+      const [width, height] = PDF.PAGE_SIZES[pageSize];
+      const landscape =
+        orientation === 'landscape' || (orientation === 'auto' && img.width > img.height);
+      [pageWidth, pageHeight] = landscape ? [height, width] : [width, height];
+    }
+
+    const areaWidth = pageWidth - 2 * margin;
+    const areaHeight = pageHeight - 2 * margin;
+    if (areaWidth <= 0 || areaHeight <= 0) {
+      throw new Error('Margins are larger than the page');
+    }
+
+    const scale =
+      pageSize === 'fit'
+        ? 1
+        : (fit === 'fill' ? Math.max : Math.min)(areaWidth / imageWidth, areaHeight / imageHeight);
+    const width = imageWidth * scale;
+    const height = imageHeight * scale;
+
+    const page = pdfDoc.addPage([pageWidth, pageHeight]);
+    const draw = () =>
+      page.drawImage(embedded, {
+        x: margin + (areaWidth - width) / 2,
+        y: margin + (areaHeight - height) / 2,
+        width,
+        height,
+      });
+
+    if (fit === 'fill' && pageSize !== 'fit') {
+      // Clip the overflowing part of the image to the area inside the margins
+      page.pushOperators(
+        pushGraphicsState(),
+        rectangle(margin, margin, areaWidth, areaHeight),
+        clip(),
+        endPath()
+      );
+      draw();
+      page.pushOperators(popGraphicsState());
+    } else {
+      draw();
+    }
+  }
+
+  return pdfDoc.save({ useObjectStreams: false });
+}
+
+/**
+ * Replace the content of pages with their rendered image (Hybrid mode)
+ * The page keeps its size, rotation, annotations and links; its text is added back as
+ * invisible text so it can still be searched and copied
+ * @private
+ */
+async function flattenPages(pdfDoc, pages) {
+  const {
+    PDFName,
+    StandardFonts,
+    TextRenderingMode,
+    beginText,
+    concatTransformationMatrix,
+    drawObject,
+    endText,
+    popGraphicsState,
+    pushGraphicsState,
+    setFontAndSize,
+    setTextMatrix,
+    setTextRenderingMode,
+    showText,
+  } = window.PDFLib;
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  for (const img of pages) {
+    let imageRef;
+    if (img.optimizedStream) {
+      imageRef = pdfDoc.context.register(createEncodedImageStream(pdfDoc, img));
+    } else {
+      const dataURL = img.optimizedDataURL || img.dataURL;
+      const imageBytes = new Uint8Array(await (await fetch(dataURL)).arrayBuffer());
+      const image = dataURL.startsWith('data:image/png')
+        ? await pdfDoc.embedPng(imageBytes)
+        : await pdfDoc.embedJpg(imageBytes);
+      imageRef = image.ref;
+    }
+
+    // Start the page over with empty content and resources
+    const page = pdfDoc.getPage(img.pageNum - 1);
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.obj([]));
+    page.node.set(PDFName.of('Resources'), pdfDoc.context.obj({}));
+
+    // Image pixels -> user space; the image may have been downscaled, but it still covers
+    // the area the page was rendered to
+    const toUserSpace = invertMatrix(img.viewportTransform);
+    const width = img.originalWidth ?? img.width;
+    const height = img.originalHeight ?? img.height;
+    const imageName = page.node.newXObject('Image', imageRef);
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(
+        ...multiplyMatrices(toUserSpace, [width, 0, 0, -height, 0, height])
+      ),
+      drawObject(imageName),
+      popGraphicsState()
+    );
+
+    const textOperators = [];
+    for (const item of img.textItems || []) {
+      const text = toWinAnsiText(item.str);
+      if (!text.trim() || item.fontSize <= 0) {
+        continue;
+      }
+      // Text matrix in image pixels (y down), stretched to the run's width on the page
+      const textWidth = font.widthOfTextAtSize(text, item.fontSize);
+      const stretch = textWidth > 0 && item.width > 0 ? item.width / textWidth : 1;
+      const angle = (item.angle * Math.PI) / 180;
+      const [cos, sin] = [Math.cos(angle), Math.sin(angle)];
+      const pixelMatrix = [
+        item.fontSize * stretch * cos,
+        -item.fontSize * stretch * sin,
+        -item.fontSize * sin,
+        -item.fontSize * cos,
+        item.x,
+        item.y,
+      ];
+      textOperators.push(
+        setTextMatrix(...multiplyMatrices(toUserSpace, pixelMatrix)),
+        showText(font.encodeText(text))
+      );
+    }
+    if (textOperators.length > 0) {
+      const fontName = page.node.newFontDictionary(font.name, font.ref);
+      page.pushOperators(
+        beginText(),
+        setFontAndSize(fontName, 1),
+        setTextRenderingMode(TextRenderingMode.Invisible),
+        ...textOperators,
+        endText()
+      );
+    }
+  }
+
+  // The pages' old content streams and resources
+  removeUnreachableObjects(pdfDoc);
+}
+
+/**
+ * Product of two transformation matrices [a b c d e f]: `m2` applied first, then `m1`
+ * @private
+ */
+function multiplyMatrices(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+/**
+ * Inverse of a transformation matrix
+ * @private
+ */
+function invertMatrix([a, b, c, d, e, f]) {
+  const det = a * d - b * c;
+  return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+/**
+ * Write a rendered page's text runs over its image as invisible text (rendering mode 3)
+ * Each run is stretched to the width it has on the page, so selections match the image
+ * @private
+ */
+function addInvisibleText(pdf, img) {
+  if (!img.textItems?.length) {
+    return;
+  }
+
+  // The page image may have been downscaled since the text was positioned
+  const scaleX = img.width / (img.originalWidth ?? img.width);
+  const scaleY = img.height / (img.originalHeight ?? img.height);
+
+  for (const item of img.textItems) {
+    const text = toWinAnsiText(item.str);
+    const fontSize = item.fontSize * scaleY;
+    if (!text.trim() || fontSize <= 0) {
+      continue;
+    }
+
+    // Font sizes are in points, positions and widths in the document's unit
+    pdf.setFontSize(fontSize * pdf.internal.scaleFactor);
+    const textWidth = pdf.getTextWidth(text);
+    pdf.text(text, item.x * scaleX, item.y * scaleY, {
+      baseline: 'alphabetic',
+      angle: item.angle,
+      renderingMode: 'invisible',
+      horizontalScale: textWidth > 0 && item.width > 0 ? (item.width * scaleX) / textWidth : 1,
+    });
+  }
+}
+
+/**
+ * Limit text to the WinAnsi characters of jsPDF's built-in fonts
+ * Accented letters outside it lose their accents and other characters become "?"; a single
+ * unsupported character would otherwise make jsPDF encode the whole run as unreadable 2-byte text
+ * @private
+ */
+function toWinAnsiText(text) {
+  return Array.from(text.normalize('NFC'), (char) => {
+    if (isWinAnsi(char)) {
+      return char;
+    }
+    const base = char.normalize('NFD').replace(/\p{M}/gu, '');
+    return base && [...base].every(isWinAnsi) ? base : '?';
+  }).join('');
+}
+
+/**
+ * Check whether a character is in the Windows-1252 (WinAnsi) character set
+ * @private
+ */
+function isWinAnsi(char) {
+  const code = char.codePointAt(0);
+  return (
+    (code >= 0x20 && code <= 0x7e) ||
+    (code >= 0xa0 && code <= 0xff) ||
+    '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ'.includes(char)
+  );
+}
+
+/**
+ * Replace the image XObject at `ref` with the optimized image bytes
+ * The object keeps its reference, so every page and Form XObject using it is updated
+ * @private
+ */
+async function replaceImageObject(pdfDoc, ref, img) {
+  const { JpegEmbedder, PDFName, PDFRawStream } = window.PDFLib;
+
+  const oldImageObj = pdfDoc.context.lookup(ref);
+  if (!oldImageObj?.dict || oldImageObj.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) {
+    console.warn(`Object ${ref} for "${img.imageName}" is not an image XObject`);
+    return false;
+  }
+
+  if (img.optimizedStream) {
+    pdfDoc.context.assign(ref, createEncodedImageStream(pdfDoc, img));
+    return true;
+  }
+
+  const response = await fetch(img.optimizedDataURL);
+  const imageBytes = new Uint8Array(await response.arrayBuffer());
+
+  // Transparent image optimized as JPEG with a soft mask: the PNG provides the alpha channel,
+  // which pdf-lib stores as a Flate-compressed /SMask, and the color data is the JPEG
+  if (img.optimizedColorDataURL) {
+    const embeddedImage = await pdfDoc.embedPng(imageBytes);
+    await embeddedImage.embed();
+    const colorResponse = await fetch(img.optimizedColorDataURL);
+    const colorBytes = new Uint8Array(await colorResponse.arrayBuffer());
+
+    const { colorSpace } = await JpegEmbedder.for(colorBytes);
+    const { dict } = pdfDoc.context.lookup(embeddedImage.ref);
+    dict.set(PDFName.of('ColorSpace'), PDFName.of(colorSpace));
+    dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+    dict.delete(PDFName.of('DecodeParms'));
+    pdfDoc.context.assign(ref, PDFRawStream.of(dict, colorBytes));
+    pdfDoc.context.delete(embeddedImage.ref);
+
+    return true;
+  }
+
+  // Determine if JPEG or PNG based on the data URL being used
+  const isPng = img.optimizedDataURL.includes('image/png');
+  const isJpeg = img.optimizedDataURL.includes('image/jpeg');
+
+  // For PNG images, use pdf-lib's embedPng to properly handle transparency
+  if (isPng) {
+    try {
+      // pdf-lib's PNG embedding decodes the pixels and creates the SMask automatically;
+      // move the result to the original reference and drop the temporary one
+      const embeddedImage = await pdfDoc.embedPng(imageBytes);
+      await embeddedImage.embed();
+      pdfDoc.context.assign(ref, pdfDoc.context.lookup(embeddedImage.ref));
+      pdfDoc.context.delete(embeddedImage.ref);
+      return true;
+    } catch (pngErr) {
+      // Fall through to manual method below
+      console.warn(`Failed to embed PNG with embedPng, falling back to manual method:`, pngErr);
+    }
+  }
+
+  // For JPEG or fallback for PNG, write the encoded bytes as the image stream.
+  // Dimensions come from the optimized image since it may have been resized; the color space
+  // and depth of JPEGs from their header, as grayscale images are single-component JPEGs.
+  const { colorSpace, bitsPerComponent } = isJpeg
+    ? await JpegEmbedder.for(imageBytes)
+    : { colorSpace: 'DeviceRGB', bitsPerComponent: 8 };
+  const dict = pdfDoc.context.obj({
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: Math.round(img.width),
+    Height: Math.round(img.height),
+    BitsPerComponent: bitsPerComponent,
+    ColorSpace: colorSpace,
+    Filter: isJpeg ? 'DCTDecode' : 'FlateDecode',
+  });
+  pdfDoc.context.assign(ref, PDFRawStream.of(dict, imageBytes));
+  return true;
+}
+
+/**
+ * Image XObject for an image that is already encoded as an image stream (optimizedStream, as
+ * black and white images are; see encodeMonochrome)
+ * @private
+ */
+function createEncodedImageStream(pdfDoc, img) {
+  const { data, filter, decodeParms, colorSpace, bitsPerComponent } = img.optimizedStream;
+  const dict = pdfDoc.context.obj({
+    Type: 'XObject',
+    Subtype: 'Image',
+    Width: Math.round(img.width),
+    Height: Math.round(img.height),
+    BitsPerComponent: bitsPerComponent,
+    ColorSpace: colorSpace,
+    Filter: filter,
+    DecodeParms: decodeParms,
+  });
+  return window.PDFLib.PDFRawStream.of(dict, data);
+}
+
+/**
+ * Image data for writing an optimized image as an inline image (see replaceInlineImages)
+ * Inline images can't have a soft mask, so PNG images are written without their alpha channel
+ * @private
+ */
+async function encodeInlineImageData(pdfDoc, img) {
+  if (img.optimizedStream) {
+    return { width: Math.round(img.width), height: Math.round(img.height), ...img.optimizedStream };
+  }
+
+  const response = await fetch(img.optimizedDataURL);
+  const imageBytes = new Uint8Array(await response.arrayBuffer());
+
+  if (!img.optimizedDataURL.includes('image/png')) {
+    const { colorSpace, bitsPerComponent } = await window.PDFLib.JpegEmbedder.for(imageBytes);
+    return {
+      width: Math.round(img.width),
+      height: Math.round(img.height),
+      colorSpace,
+      bitsPerComponent,
+      filter: 'DCTDecode',
+      data: imageBytes,
+    };
+  }
+
+  // Let pdf-lib decode the PNG, take its Flate-compressed color data and drop the objects
+  const { PDFName } = window.PDFLib;
+  const embeddedImage = await pdfDoc.embedPng(imageBytes);
+  await embeddedImage.embed();
+  const stream = pdfDoc.context.lookup(embeddedImage.ref);
+  const sMaskRef = stream.dict.get(PDFName.of('SMask'));
+  pdfDoc.context.delete(embeddedImage.ref);
+  if (sMaskRef) {
+    pdfDoc.context.delete(sMaskRef);
+  }
+
+  return {
+    width: embeddedImage.width,
+    height: embeddedImage.height,
+    colorSpace: 'DeviceRGB',
+    bitsPerComponent: 8,
+    filter: 'FlateDecode',
+    data: stream.getContents(),
+  };
+}
+
+/**
+ * Point XObject resource entries at `refMap`'s target objects and delete the old objects
+ * Resources can be inherited from the page tree or nested in Form XObjects, so every
+ * object with a /Resources dictionary is checked
+ * @returns {Map} - Number of resource entries redirected, by target object
+ * @private
+ */
+function redirectXObjectRefs(pdfDoc, refMap) {
+  const { PDFDict, PDFName, PDFRef } = window.PDFLib;
+  const { context } = pdfDoc;
+  const redirected = new Map();
+
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    const dict = obj instanceof PDFDict ? obj : obj.dict;
+    const resources = dict && context.lookup(dict.get(PDFName.of('Resources')));
+    const xObjects =
+      resources instanceof PDFDict && context.lookup(resources.get(PDFName.of('XObject')));
+    if (!(xObjects instanceof PDFDict)) {
+      continue;
+    }
+
+    for (const [name, value] of xObjects.entries()) {
+      if (value instanceof PDFRef && refMap.has(value)) {
+        const target = refMap.get(value);
+        xObjects.set(name, target);
+        redirected.set(target, (redirected.get(target) || 0) + 1);
+      }
+    }
+  }
+
+  for (const ref of refMap.keys()) {
+    context.delete(ref);
+  }
+  return redirected;
+}
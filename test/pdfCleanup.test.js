@@ -0,0 +1,96 @@
+/**
+ * PDF Cleanup Tests
+ * Runs the lossless cleanup pass on documents built with pdf-lib and checks what was removed,
+ * kept and compressed
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, test } from 'node:test';
+import vm from 'node:vm';
+import { cleanupPdf, removeUnreachableObjects } from '../src/pdf/pdfCleanup.js';
+
+// The extension loads pdf-lib as a script, and the module reads it from window.PDFLib
+globalThis.window = globalThis;
+vm.runInThisContext(readFileSync(new URL('../pdf-lib.min.js', import.meta.url), 'utf8'));
+const { PDFDocument, PDFName, decodePDFRawStream } = window.PDFLib;
+
+// Page content that compresses well
+const CONTENT = '0 0 m 10 10 l S\n'.repeat(50);
+const XMP = '<?xpacket begin=""?><x:xmpmeta xmlns:x="adobe:ns:meta/"/><?xpacket end="w"?>';
+
+// One page with content, a thumbnail, PieceInfo and XMP metadata, plus an orphan object
+async function createPdf() {
+  const pdfDoc = await PDFDocument.create();
+  const { context } = pdfDoc;
+  const page = pdfDoc.addPage();
+
+  page.node.set(PDFName.of('Contents'), context.register(context.stream(CONTENT)));
+  page.node.set(PDFName.of('Thumb'), context.register(context.stream('thumbnail')));
+  page.node.set(PDFName.of('PieceInfo'), context.obj({ App: { Private: 'data' } }));
+  pdfDoc.catalog.set(
+    PDFName.of('Metadata'),
+    context.register(context.stream(XMP, { Type: 'Metadata', Subtype: 'XML' }))
+  );
+  const orphan = context.register(context.obj({ Unused: true }));
+  return { pdfDoc, page, orphan };
+}
+
+describe('removeUnreachableObjects', () => {
+  test('deletes objects nothing refers to and keeps the rest', async () => {
+    const { pdfDoc, page, orphan } = await createPdf();
+    const contentsRef = page.node.get(PDFName.of('Contents'));
+
+    assert.equal(removeUnreachableObjects(pdfDoc), 1);
+    assert.equal(pdfDoc.context.lookup(orphan), undefined);
+    assert.ok(pdfDoc.context.lookup(contentsRef));
+    assert.equal(removeUnreachableObjects(pdfDoc), 0);
+  });
+
+  test('deletes objects that were only used by a removed entry', async () => {
+    const { pdfDoc, page } = await createPdf();
+    const thumbRef = page.node.get(PDFName.of('Thumb'));
+    page.node.delete(PDFName.of('Thumb'));
+
+    assert.equal(removeUnreachableObjects(pdfDoc), 2);
+    assert.equal(pdfDoc.context.lookup(thumbRef), undefined);
+  });
+});
+
+describe('cleanupPdf', () => {
+  test('returns what was removed and compressed', async () => {
+    const { pdfDoc, page } = await createPdf();
+
+    assert.deepEqual(cleanupPdf(pdfDoc), {
+      thumbnails: 1,
+      pieceInfo: 1,
+      xmpPackets: 0,
+      unusedObjects: 2,
+      compressedStreams: 1,
+    });
+    assert.equal(page.node.has(PDFName.of('Thumb')), false);
+    assert.equal(page.node.has(PDFName.of('PieceInfo')), false);
+  });
+
+  test('compresses content losslessly and leaves XMP readable', async () => {
+    const { pdfDoc, page } = await createPdf();
+    cleanupPdf(pdfDoc);
+
+    const contents = pdfDoc.context.lookup(page.node.get(PDFName.of('Contents')));
+    assert.equal(contents.dict.get(PDFName.of('Filter')), PDFName.of('FlateDecode'));
+    assert.equal(new TextDecoder().decode(decodePDFRawStream(contents).decode()), CONTENT);
+
+    const metadata = pdfDoc.context.lookup(pdfDoc.catalog.get(PDFName.of('Metadata')));
+    assert.equal(metadata.dict.has(PDFName.of('Filter')), false);
+    assert.equal(new TextDecoder().decode(metadata.contents), XMP);
+  });
+
+  test('removes XMP metadata when asked', async () => {
+    const { pdfDoc } = await createPdf();
+    const metadataRef = pdfDoc.catalog.get(PDFName.of('Metadata'));
+
+    assert.equal(cleanupPdf(pdfDoc, { stripXmp: true }).xmpPackets, 1);
+    assert.equal(pdfDoc.catalog.has(PDFName.of('Metadata')), false);
+    assert.equal(pdfDoc.context.lookup(metadataRef), undefined);
+  });
+});
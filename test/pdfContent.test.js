@@ -0,0 +1,213 @@
+/**
+ * PDF Content Tests
+ * Finds and rewrites inline images (BI ... ID ... EI) in content streams built with pdf-lib,
+ * including image data that contains "EI" and images drawn by Form XObjects
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, test } from 'node:test';
+import vm from 'node:vm';
+import { findInlineImages, replaceInlineImages } from '../src/pdf/pdfContent.js';
+import { parseObjectRef } from '../src/pdf/pdfObjectIds.js';
+
+// The extension loads pdf-lib as a script, and the module reads it from window.PDFLib
+globalThis.window = globalThis;
+vm.runInThisContext(readFileSync(new URL('../pdf-lib.min.js', import.meta.url), 'utf8'));
+const { PDFDocument, PDFName, decodePDFRawStream } = window.PDFLib;
+
+const encoder = new TextEncoder();
+
+// Content stream bytes from strings (ASCII text) and byte arrays
+function bytesOf(...parts) {
+  const chunks = parts.map((part) => (typeof part === 'string' ? encoder.encode(part) : part));
+  const bytes = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  chunks.reduce((offset, chunk) => {
+    bytes.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+  return bytes;
+}
+
+// Inline image with the given dictionary entries and data
+function inlineImage(entries, data) {
+  return bytesOf(`BI ${entries} ID `, data, '\nEI\n');
+}
+
+// One-page document whose page content is `contents`; `forms` are Form XObjects by name
+async function createPdf(contents, forms = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const page = pdfDoc.addPage();
+  const { context } = pdfDoc;
+
+  const xObjects = {};
+  for (const [name, formContents] of Object.entries(forms)) {
+    xObjects[name] = context.register(
+      context.stream(formContents, { Type: 'XObject', Subtype: 'Form', BBox: [0, 0, 10, 10] })
+    );
+  }
+  page.node.set(PDFName.of('Resources'), context.obj({ XObject: xObjects }));
+  page.node.set(PDFName.of('Contents'), context.register(context.stream(contents)));
+  return pdfDoc;
+}
+
+// Decoded content of a stream, by object id
+function contentOf(pdfDoc, streamRef) {
+  return decodePDFRawStream(pdfDoc.context.lookup(parseObjectRef(streamRef))).decode();
+}
+
+describe('findInlineImages', () => {
+  test('reads the size, dimensions and filters of each image', async () => {
+    const pdfDoc = await createPdf(
+      bytesOf(
+        'q 10 0 0 10 0 0 cm\n',
+        inlineImage('/W 2 /H 1 /CS /RGB /BPC 8', new Uint8Array(6)),
+        'Q q\n',
+        inlineImage('/Width 4 /Height 3 /IM true /F [/AHx /Fl]', encoder.encode('789c>')),
+        'Q\n',
+        inlineImage('/W 1 /H 1 /CS /G /BPC 8 /F /DCT', new Uint8Array(3))
+      )
+    );
+
+    const [images] = findInlineImages(pdfDoc);
+    assert.deepEqual(
+      images.map(({ index, width, height, imageMask, filter, size }) => ({
+        index,
+        width,
+        height,
+        imageMask,
+        filter,
+        size,
+      })),
+      [
+        { index: 0, width: 2, height: 1, imageMask: false, filter: 'none', size: 6 },
+        {
+          index: 1,
+          width: 4,
+          height: 3,
+          imageMask: true,
+          filter: 'ASCIIHexDecode+FlateDecode',
+          size: 5,
+        },
+        { index: 2, width: 1, height: 1, imageMask: false, filter: 'DCTDecode', size: 3 },
+      ]
+    );
+  });
+
+  test('skips "EI" inside binary image data', async () => {
+    // " EI" followed by bytes that are not content stream operators
+    const data = bytesOf(' EI ', new Uint8Array([0, 1, 2, 0xff, 0xfe, 0x80]), ' EI\n\x01');
+    const pdfDoc = await createPdf(bytesOf(inlineImage('/W 1 /H 15 /BPC 8 /CS /G', data), 'Q\n'));
+
+    const [images] = findInlineImages(pdfDoc);
+    assert.equal(images.length, 1);
+    assert.equal(images[0].size, data.length);
+  });
+
+  test('uses the data length (/L) when given', async () => {
+    // Without the length, the "EI" followed by operators would end the image early
+    const data = encoder.encode('ab EI Q 0 0 1 rg 0 0 5 5 re f q');
+    const pdfDoc = await createPdf(
+      bytesOf(inlineImage(`/W ${data.length} /H 1 /BPC 8 /CS /G /L ${data.length}`, data), 'Q\n')
+    );
+
+    const [images] = findInlineImages(pdfDoc);
+    assert.equal(images.length, 1);
+    assert.equal(images[0].size, data.length);
+  });
+
+  test('ignores "BI" in strings, comments and names', async () => {
+    const pdfDoc = await createPdf(
+      bytesOf(
+        'BT (BI /W 1 ID x EI) Tj <4249> Tj ET\n',
+        '% BI /W 1 /H 1 ID x EI\n',
+        '/BI gs\n',
+        inlineImage('/W 1 /H 1 /BPC 8 /CS /G /D#65code [1 0]', new Uint8Array([0x42]))
+      )
+    );
+
+    const [images] = findInlineImages(pdfDoc);
+    assert.equal(images.length, 1);
+    assert.equal(images[0].index, 0);
+    assert.equal(images[0].size, 1);
+  });
+
+  test('finds images drawn by Form XObjects, once per placement', async () => {
+    const form = inlineImage('/W 1 /H 1 /BPC 8 /CS /G', new Uint8Array([7]));
+    const pdfDoc = await createPdf(
+      encoder.encode('q /Fm1 Do Q q 1 0 0 1 5 5 cm /Fm1 Do Q /Missing Do\n'),
+      { Fm1: form }
+    );
+
+    const [images] = findInlineImages(pdfDoc);
+    const formRef = pdfDoc
+      .getPages()[0]
+      .node.Resources()
+      .lookup(PDFName.of('XObject'))
+      .get(PDFName.of('Fm1'));
+    assert.equal(images.length, 2);
+    images.forEach((image) => {
+      assert.equal(image.streamRef, `${formRef.objectNumber}R`);
+      assert.equal(image.index, 0);
+    });
+  });
+
+  test('keeps the images before one without EI', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const pdfDoc = await createPdf(
+      bytesOf(
+        inlineImage('/W 1 /H 1 /BPC 8 /CS /G', new Uint8Array(1)),
+        'Q 0 0 1 rg 0 0 5 5 re f\n',
+        'BI /W 1 /H 1 ID \x01\x02'
+      )
+    );
+
+    const [images] = findInlineImages(pdfDoc);
+    assert.equal(images.length, 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Malformed inline image/);
+  });
+});
+
+describe('replaceInlineImages', () => {
+  test('rewrites the given images and keeps the rest of the content', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const pdfDoc = await createPdf(
+      bytesOf(
+        'q 10 0 0 10 0 0 cm\n',
+        inlineImage('/W 2 /H 1 /CS /RGB /BPC 8', new Uint8Array(6)),
+        'Q q 20 0 0 20 0 0 cm\n',
+        inlineImage('/W 1 /H 1 /CS /G /BPC 8', new Uint8Array(1)),
+        'Q\n'
+      )
+    );
+    const [[first, second]] = findInlineImages(pdfDoc);
+
+    const jpeg = new Uint8Array([0xff, 0xd8, 0x45, 0x49, 0x20, 0xff, 0xd9]);
+    const replacement = {
+      streamRef: second.streamRef,
+      index: second.index,
+      width: 1,
+      height: 1,
+      colorSpace: 'DeviceGray',
+      filter: 'DCTDecode',
+      data: jpeg,
+    };
+    const missing = { ...replacement, index: 5 };
+    assert.deepEqual(replaceInlineImages(pdfDoc, [missing, replacement]), [replacement]);
+    assert.match(warn.mock.calls[0].arguments[0], /Inline image 5 not found/);
+
+    const [images] = findInlineImages(pdfDoc);
+    assert.deepEqual(
+      images.map(({ width, filter, size }) => ({ width, filter, size })),
+      [
+        { width: first.width, filter: 'none', size: first.size },
+        { width: 1, filter: 'DCTDecode', size: jpeg.length },
+      ]
+    );
+
+    const text = new TextDecoder('latin1').decode(contentOf(pdfDoc, second.streamRef));
+    assert.ok(text.startsWith('q 10 0 0 10 0 0 cm\nBI /W 2 /H 1 /CS /RGB /BPC 8 ID '));
+    assert.ok(text.includes('Q q 20 0 0 20 0 0 cm\nBI /W 1 /H 1 /CS /G /BPC 8 /F /DCT /L 7 ID '));
+    assert.ok(text.endsWith('\nEI\nQ\n'));
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * PDF Pages Tests
+ * Page layouts (reorder, rotate, delete) and splitting by size, on documents built with
+ * pdf-lib whose pages are told apart by their width
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, test } from 'node:test';
+import vm from 'node:vm';
+import {
+  applyPageLayout,
+  createPageLayout,
+  isDefaultPageLayout,
+  rearrangePdf,
+  splitPdfBySize,
+} from '../src/pdf/pdfPages.js';
+
+// The extension loads pdf-lib as a script, and the module reads it from window.PDFLib
+globalThis.window = globalThis;
+vm.runInThisContext(readFileSync(new URL('../pdf-lib.min.js', import.meta.url), 'utf8'));
+const { PDFDocument, PDFName, degrees } = window.PDFLib;
+
+// Width of page n is 100 * n points
+const PAGE_WIDTH_STEP = 100;
+const PAGE_HEIGHT = 200;
+// Uncompressed content of each page, so every page adds about the same size
+const CONTENT = '0 0 m 10 10 l S\n'.repeat(200);
+
+async function createPdf(pageCount) {
+  const pdfDoc = await PDFDocument.create();
+  const { context } = pdfDoc;
+  for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+    const page = pdfDoc.addPage([pageNum * PAGE_WIDTH_STEP, PAGE_HEIGHT]);
+    page.node.set(PDFName.of('Contents'), context.register(context.stream(CONTENT)));
+  }
+  return pdfDoc;
+}
+
+// Original page numbers of a document's pages, from their width
+const pageNumsOf = (pdfDoc) => pdfDoc.getPages().map((page) => page.getWidth() / PAGE_WIDTH_STEP);
+
+const countOf = async (bytes) => (await PDFDocument.load(bytes)).getPageCount();
+
+describe('isDefaultPageLayout', () => {
+  test('accepts no layout and the original order', () => {
+    assert.equal(isDefaultPageLayout(null, 3), true);
+    assert.equal(isDefaultPageLayout(createPageLayout(3), 3), true);
+    assert.equal(
+      isDefaultPageLayout(
+        [
+          { pageNum: 1, rotation: 360 },
+          { pageNum: 2, rotation: -360 },
+        ],
+        2
+      ),
+      true
+    );
+  });
+
+  test('detects reordered, rotated and removed pages', () => {
+    const layout = createPageLayout(3);
+    assert.equal(isDefaultPageLayout([layout[1], layout[0], layout[2]], 3), false);
+    assert.equal(
+      isDefaultPageLayout([{ ...layout[0], rotation: 90 }, ...layout.slice(1)], 3),
+      false
+    );
+    assert.equal(isDefaultPageLayout(layout.slice(0, 2), 3), false);
+  });
+});
+
+describe('applyPageLayout', () => {
+  test('reorders, rotates and removes pages', async () => {
+    const pdfDoc = await createPdf(4);
+    pdfDoc.getPage(2).setRotation(degrees(270));
+    const removedContent = pdfDoc.getPage(1).node.get(PDFName.of('Contents'));
+
+    applyPageLayout(pdfDoc, [
+      { pageNum: 3, rotation: 180 },
+      { pageNum: 1, rotation: -90 },
+      { pageNum: 4, rotation: 0 },
+    ]);
+
+    assert.deepEqual(pageNumsOf(pdfDoc), [3, 1, 4]);
+    assert.deepEqual(
+      pdfDoc.getPages().map((page) => page.getRotation().angle),
+      [90, 270, 0]
+    );
+    assert.equal(pdfDoc.context.lookup(removedContent), undefined);
+
+    const saved = await PDFDocument.load(await pdfDoc.save());
+    assert.deepEqual(pageNumsOf(saved), [3, 1, 4]);
+  });
+
+  test('keeps attributes pages inherit from the page tree', async () => {
+    const pdfDoc = await createPdf(2);
+    const pageTree = pdfDoc.catalog.Pages();
+    pageTree.set(PDFName.of('Rotate'), pdfDoc.context.obj(90));
+    pdfDoc.getPages().forEach((page) => page.node.delete(PDFName.of('Rotate')));
+
+    applyPageLayout(pdfDoc, [
+      { pageNum: 2, rotation: 0 },
+      { pageNum: 1, rotation: 90 },
+    ]);
+
+    assert.deepEqual(
+      pdfDoc.getPages().map((page) => page.getRotation().angle),
+      [90, 180]
+    );
+  });
+
+  test('rejects empty layouts and missing pages', async () => {
+    const pdfDoc = await createPdf(2);
+    assert.throws(() => applyPageLayout(pdfDoc, []), /at least one page/);
+    const otherDoc = await createPdf(2);
+    assert.throws(
+      () => applyPageLayout(otherDoc, [{ pageNum: 3, rotation: 0 }]),
+      /Page 3 does not exist/
+    );
+  });
+});
+
+describe('splitPdfBySize', () => {
+  test('makes each part as long as the limit allows', async () => {
+    const pdfBytes = await (await createPdf(5)).save();
+
+    // A limit between the size of two and three pages
+    const layout = createPageLayout(3);
+    const twoPages = await rearrangePdf(pdfBytes, layout.slice(0, 2));
+    const threePages = await rearrangePdf(pdfBytes, layout);
+    const maxBytes = Math.floor((twoPages.length + threePages.length) / 2);
+
+    const parts = await splitPdfBySize(pdfBytes, maxBytes);
+    assert.deepEqual(
+      parts.map((part) => part.pages),
+      [[1, 2], [3, 4], [5]]
+    );
+    for (const part of parts) {
+      assert.equal(part.oversized, false);
+      assert.ok(part.bytes.length <= maxBytes);
+      assert.equal(await countOf(part.bytes), part.pages.length);
+    }
+  });
+
+  test('keeps the whole document when it fits', async () => {
+    const pdfBytes = await (await createPdf(3)).save();
+    const parts = await splitPdfBySize(pdfBytes, Infinity);
+    assert.deepEqual(
+      parts.map((part) => part.pages),
+      [[1, 2, 3]]
+    );
+  });
+
+  test('puts pages over the limit on their own, marked oversized', async () => {
+    const pdfBytes = await (await createPdf(3)).save();
+    const parts = await splitPdfBySize(pdfBytes, 1);
+    assert.deepEqual(
+      parts.map(({ pages, oversized }) => ({ pages, oversized })),
+      [1, 2, 3].map((pageNum) => ({ pages: [pageNum], oversized: true }))
+    );
+  });
+
+  test('counts the finalized bytes against the limit', async () => {
+    const pdfBytes = await (await createPdf(2)).save();
+    const whole = (await splitPdfBySize(pdfBytes, Infinity))[0].bytes.length;
+    const padding = new Uint8Array(whole);
+    const finalize = (bytes) => new Uint8Array([...bytes, ...padding]);
+
+    const parts = await splitPdfBySize(pdfBytes, whole + padding.length - 1, finalize);
+    assert.deepEqual(
+      parts.map((part) => part.pages),
+      [[1], [2]]
+    );
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * PDF Security Tests
+ * Checks the standard security handler against MuPDF: a bundled PDF is encrypted by MuPDF with
+ * each method, opened with the user and owner passwords and compared with the original, then
+ * encrypted again by the module and opened by MuPDF
+ */
+
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, test } from 'node:test';
+import { isDeepStrictEqual } from 'node:util';
+import vm from 'node:vm';
+import * as mupdf from 'mupdf';
+import { encryptPdfDocument, loadPdfDocument } from '../src/pdf/pdfSecurity.js';
+
+// The extension loads pdf-lib as a script, and the module reads it from window.PDFLib
+globalThis.window = globalThis;
+vm.runInThisContext(readFileSync(new URL('../pdf-lib.min.js', import.meta.url), 'utf8'));
+
+// A plain Uint8Array, so stream contents compare equal to the decrypted ones (not Buffers)
+const SAMPLE = new Uint8Array(
+  readFileSync(
+    new URL('../5-steps-to-transform-your-mailroom-into-a-strategic-asset.pdf', import.meta.url)
+  )
+);
+const USER_PASSWORD = 'user';
+const OWNER_PASSWORD = 'owner';
+
+// MuPDF encryption methods: RC4 40-bit (revision 2), RC4 128-bit (3), AES-128 (4), AES-256 (6)
+const METHODS = ['rc4-40', 'rc4-128', 'aes-128', 'aes-256'];
+
+function encryptWithMupdf(bytes, method) {
+  const doc = mupdf.PDFDocument.openDocument(bytes, 'application/pdf');
+  const options = `encrypt=${method},user-password=${USER_PASSWORD},owner-password=${OWNER_PASSWORD}`;
+  // Copy the bytes out of MuPDF's memory, which later calls reuse
+  return doc.saveToBuffer(options).asUint8Array().slice();
+}
+
+function pageText(bytes, password) {
+  const doc = mupdf.Document.openDocument(bytes, 'application/pdf');
+  if (password) {
+    assert.ok(doc.needsPassword(), 'the PDF should be encrypted');
+    assert.ok(doc.authenticatePassword(password), 'MuPDF should accept the password');
+  }
+  return doc.loadPage(0).toStructuredText().asText();
+}
+
+// Contents of every stream, by object reference
+function streamContents(pdfDoc) {
+  const { PDFStream } = window.PDFLib;
+  const contents = new Map();
+  for (const [ref, obj] of pdfDoc.context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFStream) {
+      contents.set(ref.toString(), obj.getContents());
+    }
+  }
+  return contents;
+}
+
+const original = streamContents((await loadPdfDocument(SAMPLE)).pdfDoc);
+
+for (const method of METHODS) {
+  describe(method, () => {
+    const encrypted = encryptWithMupdf(SAMPLE, method);
+
+    for (const password of [USER_PASSWORD, OWNER_PASSWORD]) {
+      test(`decrypts with the ${password} password`, async () => {
+        const { pdfDoc, security } = await loadPdfDocument(encrypted, password);
+        assert.ok(security, 'the PDF should be reported as encrypted');
+
+        const decrypted = streamContents(pdfDoc);
+        const changed = [...original]
+          .filter(([ref, contents]) => !isDeepStrictEqual(decrypted.get(ref), contents))
+          .map(([ref]) => ref);
+        assert.deepEqual(changed, []);
+      });
+    }
+
+    test('rejects a wrong password', async () => {
+      await assert.rejects(loadPdfDocument(encrypted, 'wrong'), /Incorrect password/);
+    });
+
+    test('saves with the same protection', async () => {
+      const { pdfDoc, security } = await loadPdfDocument(encrypted, USER_PASSWORD);
+      await encryptPdfDocument(pdfDoc, security);
+      const saved = await pdfDoc.save({ useObjectStreams: false });
+
+      assert.equal(pageText(saved, USER_PASSWORD), pageText(SAMPLE));
+    });
+  });
+}
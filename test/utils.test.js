@@ -0,0 +1,70 @@
+/**
+ * Utility Tests
+ * Page range parsing used by the page organizer, split tool and Pages to Images export
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parsePageRanges } from '../utils.js';
+
+const PAGE_COUNT = 10;
+
+const pagesOf = (input) => {
+  const result = parsePageRanges(input, PAGE_COUNT);
+  assert.ok(result.valid, result.error);
+  assert.equal(result.error, null);
+  return result.pages;
+};
+
+const errorOf = (input) => {
+  const result = parsePageRanges(input, PAGE_COUNT);
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.pages, []);
+  return result.error;
+};
+
+describe('parsePageRanges', () => {
+  test('reads single pages and ranges in the order given', () => {
+    assert.deepEqual(pagesOf('1-3, 5'), [1, 2, 3, 5]);
+    assert.deepEqual(pagesOf('8, 2-3'), [8, 2, 3]);
+    assert.deepEqual(pagesOf(' 4 - 6 ,7'), [4, 5, 6, 7]);
+  });
+
+  test('lists a page once when ranges overlap', () => {
+    assert.deepEqual(pagesOf('1-3, 2-4, 1'), [1, 2, 3, 4]);
+  });
+
+  test('runs open ranges to the first or last page', () => {
+    assert.deepEqual(pagesOf('8-'), [8, 9, 10]);
+    assert.deepEqual(pagesOf('-3'), [1, 2, 3]);
+    assert.deepEqual(pagesOf('-'), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  });
+
+  test('ignores empty parts', () => {
+    assert.deepEqual(pagesOf('2,, 4,'), [2, 4]);
+  });
+
+  test('rejects empty input', () => {
+    assert.match(errorOf(''), /Enter the pages/);
+    assert.match(errorOf(' , '), /Enter the pages/);
+    assert.match(parsePageRanges(undefined, PAGE_COUNT).error, /Enter the pages/);
+  });
+
+  test('rejects reversed ranges', () => {
+    assert.equal(errorOf('5-3'), 'Invalid page range "5-3".');
+  });
+
+  test('rejects pages outside the document', () => {
+    assert.equal(errorOf('0'), 'Page range "0" is outside 1-10.');
+    assert.equal(errorOf('11'), 'Page range "11" is outside 1-10.');
+    assert.equal(errorOf('9-12'), 'Page range "9-12" is outside 1-10.');
+    assert.equal(errorOf('1-3, 11-'), 'Invalid page range "11-".');
+  });
+
+  test('rejects malformed parts', () => {
+    assert.equal(errorOf('a'), 'Invalid page range "a".');
+    assert.equal(errorOf('3 5'), 'Invalid page range "3 5".');
+    assert.equal(errorOf('1-2-3'), 'Invalid page range "1-2-3".');
+    assert.equal(errorOf('2.5'), 'Invalid page range "2.5".');
+  });
+});
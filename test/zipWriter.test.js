@@ -0,0 +1,112 @@
+/**
+ * ZIP Writer Tests
+ * Reads the archives back record by record (PKWARE APPNOTE.TXT) and checks names, data,
+ * CRC-32 and dates
+ */
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { createZip } from '../src/core/zipWriter.js';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const UTF8_FLAG = 0x0800;
+
+// CRC-32 check value of the standard ("123456789")
+const CHECK_INPUT = '123456789';
+const CHECK_CRC = 0xcbf43926;
+
+// Entries of a ZIP file, read from its central directory and local headers
+async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  const end = bytes.length - END_OF_CENTRAL_DIRECTORY_SIZE;
+  assert.equal(view.getUint32(end, true), END_OF_CENTRAL_DIRECTORY_SIGNATURE);
+  const count = view.getUint16(end + 10, true);
+  const directorySize = view.getUint32(end + 12, true);
+  let pos = view.getUint32(end + 16, true);
+  assert.equal(pos + directorySize, end);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(pos, true), CENTRAL_HEADER_SIGNATURE);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+    assert.equal(view.getUint32(offset, true), LOCAL_HEADER_SIGNATURE);
+    const size = view.getUint32(offset + 22, true);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    entries.push({
+      name,
+      localName: decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength)),
+      flags: view.getUint16(pos + 8, true),
+      method: view.getUint16(pos + 10, true),
+      time: view.getUint16(pos + 12, true),
+      date: view.getUint16(pos + 14, true),
+      crc: view.getUint32(pos + 16, true),
+      localCrc: view.getUint32(offset + 14, true),
+      size,
+      data: bytes.subarray(dataStart, dataStart + size),
+    });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('createZip', () => {
+  test('stores every file with its name and data', async () => {
+    const binary = new Uint8Array([0, 1, 2, 0xfe, 0xff]);
+    const entries = await readZip(
+      createZip([
+        { name: 'images/page-1.jpg', data: binary },
+        { name: 'manifest.json', data: '{"images":[]}' },
+        { name: 'résumé.txt', data: '' },
+      ])
+    );
+
+    assert.deepEqual(
+      entries.map(({ name, localName, flags, method }) => ({ name, localName, flags, method })),
+      [
+        { name: 'images/page-1.jpg', localName: 'images/page-1.jpg', flags: UTF8_FLAG, method: 0 },
+        { name: 'manifest.json', localName: 'manifest.json', flags: UTF8_FLAG, method: 0 },
+        { name: 'résumé.txt', localName: 'résumé.txt', flags: UTF8_FLAG, method: 0 },
+      ]
+    );
+    assert.deepEqual(entries[0].data, binary);
+    assert.equal(new TextDecoder().decode(entries[1].data), '{"images":[]}');
+    assert.equal(entries[2].size, 0);
+  });
+
+  test('writes the CRC-32 of the data', async () => {
+    const [check, empty] = await readZip(
+      createZip([
+        { name: 'check.txt', data: CHECK_INPUT },
+        { name: 'empty.txt', data: new Uint8Array(0) },
+      ])
+    );
+    assert.equal(check.crc, CHECK_CRC);
+    assert.equal(check.localCrc, CHECK_CRC);
+    assert.equal(empty.crc, 0);
+  });
+
+  test('stores the date in MS-DOS format', async () => {
+    const [entry] = await readZip(
+      createZip([{ name: 'a.txt', data: 'a' }], new Date(2024, 6, 15, 13, 47, 31))
+    );
+    // 13:47:30 (2-second resolution) and 2024-07-15
+    assert.equal(entry.time, (13 << 11) | (47 << 5) | 15);
+    assert.equal(entry.date, ((2024 - 1980) << 9) | (7 << 5) | 15);
+  });
+
+  test('writes an empty archive', async () => {
+    const blob = createZip([]);
+    assert.equal(blob.type, 'application/zip');
+    assert.equal(blob.size, END_OF_CENTRAL_DIRECTORY_SIZE);
+    assert.deepEqual(await readZip(blob), []);
+  });
+});
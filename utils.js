@@ -195,3 +195,43 @@ export function validateDimensions(width, height) {
 
   return { valid: true, error: null };
 }
+
+/**
+ * Parses a page range such as "1-3, 5, 8-" (open ranges run to the first or last page)
+ * @param {string} input - Comma-separated page numbers and ranges
+ * @param {number} pageCount - Number of pages available
+ * @returns {{valid: boolean, pages: number[], error: string|null}} - Pages in the order given
+ */
+export function parsePageRanges(input, pageCount) {
+  const parts = String(input || '')
+    .split(',')
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  if (parts.length === 0) {
+    return { valid: false, pages: [], error: 'Enter the pages to use, e.g. 1-3, 5.' };
+  }
+
+  const pages = new Set();
+  for (const part of parts) {
+    const match = /^(\d*)\s*(-)?\s*(\d*)$/.exec(part);
+    const start = match?.[1] ? parseInt(match[1], 10) : 1;
+    const end = match?.[2] ? (match[3] ? parseInt(match[3], 10) : pageCount) : start;
+    if (!match || (!match[2] && match[3]) || (!match[1] && !match[2]) || start > end) {
+      return { valid: false, pages: [], error: `Invalid page range "${part}".` };
+    }
+    if (start < 1 || end > pageCount) {
+      return {
+        valid: false,
+        pages: [],
+        error: `Page range "${part}" is outside 1-${pageCount}.`,
+      };
+    }
+
+    for (let page = start; page <= end; page++) {
+      pages.add(page);
+    }
+  }
+
+  return { valid: true, pages: [...pages], error: null };
+}